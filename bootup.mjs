@@ -3,209 +3,216 @@
 // Gemini CLI assets, Windsurf workflows, AI Dev Tasks, and autonomous agent
 // templates (memory, automation) into any project.
 // Usage:
-//   node bootstrap/bootup.mjs [--target <dir>] [--subset <csv>] [--force] [--dry-run] [--verbose]
-//   subsets: agents,skills,commands,workflows,docs,scripts,gemini,codex,memory,automation (default: all)
+//   node bootstrap/bootup.mjs [install|upgrade|status|uninstall|doctor|rollback|budget|list|search <term>] [--target <dir>] [--subset <csv>] [--force] [--dry-run [--diff]] [--json] [--verbose]
+//   subsets: agents,skills,commands,workflows,docs,scripts,gemini,codex,cursor,copilot,memory,automation,hooks (default: all)
+//   profiles:  [--profile <name>] [--detect]
+//   selection: [--skills <csv>] [--agents <csv>] [--exclude <csv>] [--pack <dir|tarball> ...]
+//   monorepos: [--workspaces] (root + each workspace package, see agentbootup.workspaces.json)
+//   The work is done by lib/bootup/installer.js, which tools can import directly.
 
-import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { EventEmitter } from 'events';
+import {
+  install, installWorkspaces, installedWorkspaces, upgrade, status, uninstall, doctor, rollback, budget, listSkills
+} from './lib/bootup/installer.js';
+import { parseVarFlags } from './lib/bootup/render.js';
+import { formatBudgetReport } from './lib/bootup/budget.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const templatesRoot = path.join(__dirname, 'templates');
+const COMMANDS = ['install', 'upgrade', 'status', 'uninstall', 'doctor', 'rollback', 'budget', 'list', 'search'];
 
 function parseArgs(argv) {
-  const args = { target: process.cwd(), subset: ['agents','skills','commands','workflows','docs','scripts','gemini','codex','memory','automation','hooks'], force: false, dryRun: false, verbose: false };
+  const args = { command: 'install', target: process.cwd(), subset: null, force: false, dryRun: false, verbose: false, vars: [], answers: null, skills: null, agents: null, deps: true, exclude: [], packs: [], fix: false, profile: null, detect: false, diff: false, json: false, to: null, workspaces: false, term: null, maxTokens: null };
+  const csv = (value) => value.split(',').map(s => s.trim()).filter(Boolean);
   for (let i = 0; i < argv.length; i++) {
     const a = argv[i];
-    if (a === '--target' && argv[i+1]) { args.target = path.resolve(argv[++i]); }
+    if (i === 0 && COMMANDS.includes(a)) { args.command = a; }
+    else if (a === '--target' && argv[i+1]) { args.target = path.resolve(argv[++i]); }
     else if (a === '--subset' && argv[i+1]) {
-      args.subset = argv[++i].split(',').map(s => s.trim()).filter(Boolean);
+      args.subset = csv(argv[++i]);
     }
+    else if (a === '--profile' && argv[i+1]) { args.profile = argv[++i]; }
+    else if (a === '--detect') { args.detect = true; }
+    else if (a === '--skills' && argv[i+1]) { args.skills = csv(argv[++i]); }
+    else if (a === '--agents' && argv[i+1]) { args.agents = csv(argv[++i]); }
+    else if (a === '--no-deps') { args.deps = false; }
+    else if (a === '--exclude' && argv[i+1]) { args.exclude.push(...csv(argv[++i])); }
+    else if (a === '--pack' && argv[i+1]) { args.packs.push(argv[++i]); }
+    else if (a === '--var' && argv[i+1]) { args.vars.push(argv[++i]); }
+    else if (a === '--answers' && argv[i+1]) { args.answers = path.resolve(argv[++i]); }
     else if (a === '--force') { args.force = true; }
+    else if (a === '--fix') { args.fix = true; }
+    else if (a === '--to' && argv[i+1]) { args.to = argv[++i]; }
+    else if (a === '--max-tokens' && argv[i+1]) {
+      args.maxTokens = Number(argv[++i]);
+      if (!Number.isInteger(args.maxTokens) || args.maxTokens <= 0) throw new Error(`--max-tokens needs a positive whole number, got ${argv[i]}`);
+    }
     else if (a === '--dry-run') { args.dryRun = true; }
+    else if (a === '--diff') { args.diff = true; }
+    else if (a === '--json') { args.json = true; }
+    else if (a === '--workspaces') { args.workspaces = true; }
     else if (a === '--verbose') { args.verbose = true; }
     else if (a === '--help' || a === '-h') { printHelpAndExit(); }
+    else if (!a.startsWith('-') && args.command === 'search') { args.term = args.term ? `${args.term} ${a}` : a; }
+    else if (!a.startsWith('-')) { throw new Error(`Unknown command: ${a} (expected one of ${COMMANDS.join(', ')})`); }
   }
   return args;
 }
 
 function printHelpAndExit(code = 0) {
   console.log(`\nBootup - Seed Claude Code + Windsurf + Gemini + Codex + Autonomous Agent templates into any project\n\n` +
+`Commands:\n` +
+`  install            Copy templates into the target project (default)\n` +
+`  upgrade            Update installed files to the current templates, three-way merging local edits\n` +
+`  status             Report installed files as pristine, modified or missing\n` +
+`  uninstall          Remove pristine installed files and fragment blocks (CLAUDE.md, GEMINI.md, AGENTS.md)\n` +
+`  doctor             Check cross-references, fragments and directories; --fix applies safe fixes\n` +
+`  rollback           Undo the last run from its backup in .agentbootup/backups/; --to <timestamp>\n` +
+`                     undoes that run and every run after it\n` +
+`  budget             Estimate the context tokens of installed files, per category and platform;\n` +
+`                     flags files over --max-tokens <n> (default 4000)\n` +
+`  list               List the available skills by category (--verbose adds platforms and files)\n` +
+`  search <term>      Find skills whose name, description or category match\n\n` +
 `Options:\n` +
 `  --target <dir>     Target project directory (default: CWD)\n` +
 `  --subset <csv>     Which templates to install:\n` +
-`                     agents,skills,commands,workflows,docs,scripts,gemini,codex,memory,automation,hooks\n` +
-`                     (default: all)\n` +
-`  --force            Overwrite existing files\n` +
+`                     agents,skills,commands,workflows,docs,scripts,gemini,codex,cursor,copilot,memory,automation,hooks\n` +
+`                     (default: all; 'fragments' adds only the CLAUDE.md/GEMINI.md/AGENTS.md blocks)\n` +
+`  --profile <name>   Install a named preset: minimal, standard, autonomous, full, codex-only,\n` +
+`                     gemini-only (see templates/profiles.json); explicit flags override it\n` +
+`  --detect           Inspect the target repo and installed CLIs, explain and use the recommended profile\n` +
+`  --skills <csv>     Only install these skills (plus their command, workflow, ai-dev-task\n` +
+`                     and Gemini/Codex copies)\n` +
+`  --agents <csv>     Only install these agents (Claude and Gemini)\n` +
+`  --exclude <csv>    Skip these skills or agents\n` +
+`  --no-deps          Do not add the skills and agents that selected ones require\n` +
+`  --pack <path>      Lay a local template pack (directory or .tgz with pack.json) over the\n` +
+`                     built-in templates; repeatable, later packs take precedence\n` +
+`  --workspaces       Monorepo mode: install at the root and into each workspace package\n` +
+`                     (package.json workspaces, pnpm-workspace.yaml or lerna.json), with subsets\n` +
+`                     from agentbootup.workspaces.json; other commands run for every workspace\n` +
+`  --var <key=value>  Set a template variable, e.g. --var projectName=acme (repeatable)\n` +
+`  --answers <file>   JSON file of template variable values\n` +
+`  --force            Overwrite existing files (previous content is backed up; see rollback)\n` +
 `  --dry-run          Preview actions without writing\n` +
+`  --diff             With --dry-run, print unified diffs for existing files that would change\n` +
+`  --json             Print the action list as JSON on stdout (progress goes to stderr)\n` +
 `  --verbose          Print each file action\n\n` +
+`Template variables:\n` +
+`  {{projectName}}, {{projectDescription}}, {{timezone}}, {{defaultBranch}}, {{packageManager}},\n` +
+`  {{gitUserName}}, {{installDate}}, {{year}} are detected from the target repo; --answers and\n` +
+`  --var override them. Unknown variables are left as-is and reported.\n\n` +
 `Autonomous Agent Mode:\n` +
 `  --subset memory,automation    Install only memory and heartbeat templates\n` +
-`  --subset skills,memory        Install skills with persistent memory\n`);
+`  --subset skills,memory        Install skills with persistent memory\n\n` +
+`Profiles:\n` +
+`  --profile autonomous          Skills + memory + automation + hooks for Claude Code\n` +
+`  --detect --dry-run            Show the recommended profile and why, without installing\n\n` +
+`Selecting skills:\n` +
+`  search review                 Find skills before selecting them (or list them all with: list)\n` +
+`  --skills prd-writer,task-processor --exclude dialectical-autocoder\n` +
+`  --subset skills,commands,workflows --skills prd-writer   Only prd-writer and its generated files\n`);
   process.exit(code);
 }
 
-function ensureDir(dir) {
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-}
-
-function relToCategory(relPath) {
-  if (relPath.startsWith('.claude/agents/')) return 'agents';
-  if (relPath.startsWith('.claude/skills/')) return 'skills';
-  if (relPath.startsWith('.claude/commands/')) return 'commands';
-  if (relPath.startsWith('.claude/hooks/')) return 'hooks';
-  if (relPath.startsWith('.claude/fragments/')) return 'fragments';
-  if (relPath.startsWith('.gemini/')) return 'gemini';
-  if (relPath.startsWith('.gemini/fragments/')) return 'fragments';
-  if (relPath.startsWith('.codex/')) return 'codex';
-  if (relPath.startsWith('.windsurf/workflows/')) return 'workflows';
-  if (relPath.startsWith('ai-dev-tasks/')) return 'docs';
-  if (relPath.startsWith('tasks/')) return 'docs';
-  if (relPath.startsWith('docs/')) return 'docs';
-  if (relPath.startsWith('scripts/')) return 'scripts';
-  if (relPath.startsWith('memory/')) return 'memory';
-  if (relPath.startsWith('.ai/')) return 'memory';
-  if (relPath.startsWith('automation/')) return 'automation';
-  return 'other';
-}
-
-function listTemplateFiles(root) {
-  const files = [];
-  const walk = (dir) => {
-    const entries = fs.readdirSync(dir, { withFileTypes: true });
-    for (const e of entries) {
-      const full = path.join(dir, e.name);
-      if (e.isDirectory()) walk(full);
-      else files.push(full);
-    }
-  };
-  walk(root);
-  return files;
+// One line per action for --verbose
+function formatAction(a) {
+  const symbol = a.type.startsWith('would') ? '●'
+    : ['skip', 'kept', 'unchanged'].includes(a.type) ? '↷'
+      : a.type === 'conflict' ? '✗' : '✓';
+  const rel = a.fragment ? `${a.rel} ← ${a.source}` : a.rel;
+  return `${symbol} ${a.type}${a.reason ? ` (${a.reason})` : ''}: ${rel}`;
 }
 
-function run() {
-  const args = parseArgs(process.argv.slice(2));
-  if (!fs.existsSync(templatesRoot)) {
-    console.error('❌ Templates directory not found:', templatesRoot);
-    process.exit(1);
+// Print installer progress events
+function createReporter(args) {
+  const events = new EventEmitter();
+  events.on('message', ({ text, verbose }) => {
+    if (!verbose || args.verbose) console.log(text);
+  });
+  if (args.verbose) {
+    events.on('action', (a) => {
+      if (a.type !== 'unchanged') console.log(formatAction(a));
+    });
   }
+  return events;
+}
 
-  const allFiles = listTemplateFiles(templatesRoot);
-  const actions = [];
-  const fragmentsToAppend = [];
-
-  for (const src of allFiles) {
-    const rel = path.relative(templatesRoot, src).replaceAll('\\', '/');
-    const category = relToCategory(rel);
+function installerOptions(args) {
+  return { ...args, vars: parseVarFlags(args.vars) };
+}
 
-    // Skip fragments if memory category not selected
-    if (category === 'fragments' && !args.subset.includes('memory')) continue;
-    // Skip other categories if not selected
-    if (!args.subset.includes(category) && category !== 'fragments') continue;
+function summarize(actions) {
+  return actions.reduce((acc, a) => { acc[a.type] = (acc[a.type]||0)+1; return acc; }, {});
+}
 
-    // Handle fragments specially - they get appended to CLAUDE.md or GEMINI.md
-    if (category === 'fragments') {
-      fragmentsToAppend.push({ src, rel });
-      continue;
-    }
+function printSummary(actions) {
+  console.log('\nBootup summary:');
+  for (const [k,v] of Object.entries(summarize(actions))) console.log(`  ${k}: ${v}`);
+}
 
-    const dest = path.join(args.target, rel);
-    const destDir = path.dirname(dest);
-    const exists = fs.existsSync(dest);
+function printBackup(backupId) {
+  if (backupId) console.log(`\nBackup: ${backupId} (undo with: bootup rollback)`);
+}
 
-    if (exists && !args.force) {
-      actions.push({ type: 'skip', rel, reason: 'exists' });
-      if (args.verbose) console.log('↷ skip (exists):', rel);
-      continue;
-    }
+function printDiffs(actions) {
+  for (const a of actions) if (a.diff) console.log(`\n${a.diff.trimEnd()}`);
+}
 
-    if (!args.dryRun) {
-      ensureDir(destDir);
-      fs.copyFileSync(src, dest);
-    }
-    actions.push({ type: args.dryRun ? 'wouldWrite' : (exists ? 'overwritten' : 'written'), rel });
-    if (args.verbose) console.log(args.dryRun ? '● would write:' : '✓ wrote:', rel);
-  }
-
-  // Handle fragments - append to CLAUDE.md or GEMINI.md
-  if (args.subset.includes('memory') && fragmentsToAppend.length > 0) {
-    for (const { src, rel } of fragmentsToAppend) {
-      const fragmentContent = fs.readFileSync(src, 'utf-8');
-      let targetFile;
-
-      if (rel.includes('.claude/')) {
-        targetFile = path.join(args.target, 'CLAUDE.md');
-      } else if (rel.includes('.gemini/')) {
-        targetFile = path.join(args.target, 'GEMINI.md');
-      }
-
-      if (targetFile) {
-        const exists = fs.existsSync(targetFile);
-
-        if (!args.dryRun) {
-          if (exists) {
-            // Check if fragment already appended
-            const current = fs.readFileSync(targetFile, 'utf-8');
-            if (!current.includes('## Autonomous Memory System')) {
-              fs.appendFileSync(targetFile, '\n\n' + fragmentContent);
-              actions.push({ type: 'appended', rel: `${path.basename(targetFile)} ← ${rel}` });
-              if (args.verbose) console.log('✓ appended:', rel, '→', targetFile);
-            } else {
-              actions.push({ type: 'skip', rel: `${path.basename(targetFile)} ← ${rel}`, reason: 'already present' });
-              if (args.verbose) console.log('↷ skip (already present):', rel);
-            }
-          } else {
-            // Create new file with fragment
-            fs.writeFileSync(targetFile, `# ${path.basename(args.target)}\n\n${fragmentContent}`);
-            actions.push({ type: 'created', rel: targetFile });
-            if (args.verbose) console.log('✓ created:', targetFile);
-          }
-        } else {
-          actions.push({ type: 'wouldAppend', rel: `${path.basename(targetFile)} ← ${rel}` });
-          if (args.verbose) console.log('● would append:', rel, '→', targetFile);
-        }
-      }
-    }
+function reportUnknownVariables(unknownVariables) {
+  const entries = Object.entries(unknownVariables);
+  if (entries.length === 0) return;
+  console.log('\n⚠ Unknown template variables (left unrendered; set with --var or --answers):');
+  for (const [name, rels] of entries) {
+    console.log(`  {{${name}}} in ${rels.slice(0, 3).join(', ')}${rels.length > 3 ? ` (+${rels.length - 3} more)` : ''}`);
   }
+}
 
-  // Ensure tasks/ exists
-  if (args.subset.includes('docs')) {
-    const tasksDir = path.join(args.target, 'tasks');
-    ensureDir(tasksDir);
-    const gitkeep = path.join(tasksDir, '.gitkeep');
-    if (!fs.existsSync(gitkeep) && !args.dryRun) fs.writeFileSync(gitkeep, '');
-  }
+function jsonReport(result) {
+  return {
+    command: result.command,
+    target: result.target,
+    dryRun: result.dryRun,
+    packageVersion: result.packageVersion,
+    backup: result.backup || null,
+    summary: summarize(result.actions),
+    actions: result.actions
+  };
+}
 
-  // Ensure memory/daily/ exists for autonomous mode
-  if (args.subset.includes('memory')) {
-    const dailyDir = path.join(args.target, 'memory', 'daily');
-    ensureDir(dailyDir);
+// Machine-readable result for CI and wrapper scripts
+function printJsonReport(result) {
+  const report = result.workspaces
+    ? { command: result.command, target: result.target, workspaces: result.workspaces.map(w => ({ workspace: w.workspace, ...jsonReport(w) })) }
+    : jsonReport(result);
+  process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+}
 
-    // Create today's daily note if it doesn't exist
-    const today = new Date().toISOString().split('T')[0];
-    const dailyNote = path.join(dailyDir, `${today}.md`);
-    if (!fs.existsSync(dailyNote) && !args.dryRun) {
-      const template = `# ${today}\n\n## Sessions\n\n*No sessions recorded yet*\n`;
-      fs.writeFileSync(dailyNote, template);
-    }
-  }
+function runInstall(args) {
+  const result = install(installerOptions(args), createReporter(args));
 
-  // Summary
-  const summary = actions.reduce((acc, a) => { acc[a.type] = (acc[a.type]||0)+1; return acc; }, {});
-  console.log('\nBootup summary:');
-  for (const [k,v] of Object.entries(summary)) console.log(`  ${k}: ${v}`);
-  console.log('\nInstalled categories:', args.subset.join(','));
-  console.log('Target:', args.target);
+  printDiffs(result.actions);
+  printSummary(result.actions);
+  printBackup(result.backup);
+  reportUnknownVariables(result.unknownVariables);
+  console.log('\nInstalled categories:', result.subset.join(','));
+  if (result.profile) console.log('Profile:', result.profile);
+  console.log('Target:', result.target);
+  printNextSteps(result.subset);
+
+  return result;
+}
+
+function printNextSteps(subset) {
   console.log('\nNext steps:');
   console.log('  - Restart Claude Code if running to reload agents/skills/commands');
   console.log('  - Restart Codex if running to reload skills');
   console.log('  - In Windsurf, use /dev-pipeline or individual workflows');
   console.log('  - In Gemini CLI, skills will be auto-discovered; use /skills list to verify');
   console.log('  - In Codex CLI/IDE, run /skills (or type $) to invoke skills');
+  console.log('  - In Cursor, skill rules are in .cursor/rules/ (agent-requested by description)');
+  console.log('  - In VS Code Copilot Chat, run skills as /<skill> prompts and pick agents from the chat mode list');
 
-  if (args.subset.includes('memory') || args.subset.includes('automation')) {
+  if (subset.includes('memory') || subset.includes('automation')) {
     console.log('\n🤖 Autonomous Agent Mode:');
     console.log('  - Memory system initialized in memory/');
     console.log('  - Heartbeat configuration in automation/HEARTBEAT.md');
@@ -214,6 +221,195 @@ function run() {
   }
 }
 
+function runInstallWorkspaces(args) {
+  const result = installWorkspaces(installerOptions(args), createReporter(args));
+
+  for (const w of result.workspaces) printDiffs(w.actions);
+  console.log('\nWorkspace summary:');
+  for (const w of result.workspaces) {
+    const counts = Object.entries(summarize(w.actions)).map(([k, v]) => `${k} ${v}`).join(', ') || 'nothing to do';
+    console.log(`  ${w.workspace.padEnd(24)} ${w.subset.join(',')}`);
+    console.log(`  ${''.padEnd(24)} ${counts}${w.backup ? ` (backup ${w.backup})` : ''}`);
+  }
+  reportUnknownVariables(Object.assign({}, ...result.workspaces.map(w => w.unknownVariables)));
+  console.log('\nTarget:', result.target);
+  printNextSteps([...new Set(result.workspaces.flatMap(w => w.subset))]);
+
+  return result;
+}
+
+// Run a non-install command for every workspace bootup has installed into
+function runForWorkspaces(args, runCommand) {
+  const workspaces = [];
+  for (const { rel, target } of installedWorkspaces(installerOptions(args))) {
+    console.log(`\n📦 ${rel === '.' ? '(root)' : rel}`);
+    const result = runCommand({ ...args, target });
+    if (result) workspaces.push({ workspace: rel, ...result });
+  }
+  return { command: args.command, target: args.target, workspaces };
+}
+
+function runStatus(args) {
+  const { files, fragments, packageVersion, target } = status(installerOptions(args));
+  const symbols = { pristine: '✓', modified: '✎', missing: '✗', present: '✓' };
+
+  console.log(`\nagentbootup ${packageVersion} installed in ${target}\n`);
+  for (const f of files) {
+    if (f.status !== 'pristine' || args.verbose) console.log(`  ${symbols[f.status]} ${f.status.padEnd(8)} ${f.rel}`);
+  }
+  for (const f of fragments) {
+    console.log(`  ${symbols[f.status]} ${`fragment ${f.status}`.padEnd(8)} ${f.rel} ← ${f.source}`);
+  }
+
+  const counts = files.reduce((acc, f) => { acc[f.status] = (acc[f.status]||0)+1; return acc; }, {});
+  console.log('\nStatus summary:');
+  for (const s of ['pristine', 'modified', 'missing']) console.log(`  ${s}: ${counts[s] || 0}`);
+  if (!args.verbose && counts.pristine) console.log('\n(use --verbose to list pristine files)');
+}
+
+function runUninstall(args) {
+  const result = uninstall(installerOptions(args), createReporter(args));
+
+  printSummary(result.actions);
+  printBackup(result.backup);
+  console.log('Target:', result.target);
+  if (result.actions.some(a => a.type === 'kept')) {
+    console.log('\nLocally modified files were kept; delete them by hand if no longer needed.');
+  }
+
+  return result;
+}
+
+function runUpgrade(args) {
+  const result = upgrade(installerOptions(args), createReporter(args));
+
+  printDiffs(result.actions);
+  printSummary(result.actions);
+  printBackup(result.backup);
+  reportUnknownVariables(result.unknownVariables);
+  console.log(`\n${result.dryRun ? 'Would upgrade' : 'Upgraded'} ${result.target} from ${result.previousVersion} to ${result.packageVersion}`);
+
+  const conflicted = result.actions.filter(a => a.type === 'conflict' || a.type === 'wouldConflict');
+  if (conflicted.length > 0) {
+    console.log('\nConflicts (resolve the <<<<<<< / >>>>>>> markers by hand):');
+    for (const a of conflicted) console.log(`  ✗ ${a.rel} (${a.conflicts} conflict${a.conflicts === 1 ? '' : 's'})`);
+  }
+
+  return result;
+}
+
+function runDoctor(args) {
+  const { findings, fixed, backup, target } = doctor(installerOptions(args), createReporter(args));
+
+  for (const f of fixed) console.log(`✓ fixed: ${f.file} (${f.suggestion})`);
+  printBackup(backup);
+
+  console.log(`\nDoctor report for ${target}`);
+  if (findings.length === 0) {
+    console.log('\n✓ No problems found');
+    return;
+  }
+
+  const byCheck = new Map();
+  for (const f of findings) {
+    if (!byCheck.has(f.check)) byCheck.set(f.check, []);
+    byCheck.get(f.check).push(f);
+  }
+  for (const [check, items] of byCheck) {
+    console.log(`\n${check.charAt(0).toUpperCase()}${check.slice(1)}:`);
+    for (const f of items) {
+      console.log(`  ${f.severity === 'error' ? '✗ error  ' : '⚠ warning'} ${f.file}: ${f.message}`);
+      console.log(`            → ${f.suggestion}${f.fix ? ' [fixable]' : ''}`);
+    }
+  }
+
+  const errors = findings.filter(f => f.severity === 'error').length;
+  const fixable = findings.filter(f => f.fix).length;
+  console.log(`\nDoctor summary: ${errors} error(s), ${findings.length - errors} warning(s)`);
+  if (fixable > 0 && !args.fix) console.log(`  ${fixable} can be fixed automatically with: bootup doctor --fix`);
+  if (errors > 0) process.exitCode = 1;
+}
+
+// Skills one per line: name, description and, in detail, where they ship
+function printSkills(skills, { detail }) {
+  const width = Math.max(...skills.map(s => s.name.length));
+  for (const s of skills) {
+    console.log(`  ${s.name.padEnd(width)}  ${s.description}`);
+    if (!detail) continue;
+    const files = [s.command, s.workflow].filter(Boolean);
+    console.log(`  ${''.padEnd(width)}  platforms: ${s.platforms.join(', ')}${files.length ? `; ${files.join(', ')}` : ''}`);
+  }
+}
+
+function runList(args) {
+  const { skills } = listSkills();
+  const byCategory = new Map();
+  for (const s of skills) {
+    const category = s.category || 'uncategorized';
+    if (!byCategory.has(category)) byCategory.set(category, []);
+    byCategory.get(category).push(s);
+  }
+
+  for (const category of [...byCategory.keys()].sort()) {
+    const items = byCategory.get(category);
+    console.log(`\n${category.charAt(0).toUpperCase()}${category.slice(1)} (${items.length}):`);
+    printSkills(items, { detail: args.verbose });
+  }
+  console.log(`\n${skills.length} skills (install some with: bootup --skills <csv>)`);
+}
+
+function runSearch(args) {
+  if (!args.term) throw new Error('search needs a term, e.g. bootup search changelog');
+  const { skills } = listSkills({ term: args.term });
+  if (skills.length === 0) {
+    console.log(`No skills match "${args.term}" (see all of them with: bootup list)`);
+    return;
+  }
+  console.log(`${skills.length} skill${skills.length === 1 ? '' : 's'} matching "${args.term}":\n`);
+  printSkills(skills, { detail: true });
+}
+
+function runBudget(args) {
+  const report = budget(installerOptions(args));
+  console.log(`\nToken budget for ${report.target} (estimated)\n`);
+  console.log(formatBudgetReport(report, { verbose: args.verbose }));
+}
+
+function runRollback(args) {
+  const result = rollback(installerOptions(args), createReporter(args));
+
+  printSummary(result.actions);
+  console.log('Target:', result.target);
+
+  return result;
+}
+
+function run() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.json && !['install', 'upgrade', 'uninstall', 'rollback'].includes(args.command)) {
+    throw new Error('--json is supported for install, upgrade, uninstall and rollback');
+  }
+  // Keep stdout for the JSON report; the human-readable output moves to stderr
+  if (args.json) console.log = console.error;
+
+  const runners = {
+    install: args.workspaces ? runInstallWorkspaces : runInstall,
+    upgrade: runUpgrade,
+    status: runStatus,
+    uninstall: runUninstall,
+    doctor: runDoctor,
+    rollback: runRollback,
+    budget: runBudget,
+    list: runList,
+    search: runSearch
+  };
+  const runCommand = runners[args.command];
+  // The catalog is the same for every workspace
+  const perWorkspace = args.workspaces && !['install', 'list', 'search'].includes(args.command);
+  const result = perWorkspace ? runForWorkspaces(args, runCommand) : runCommand(args);
+  if (args.json) printJsonReport(result);
+}
+
 try {
   run();
 } catch (err) {
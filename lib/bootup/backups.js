@@ -0,0 +1,118 @@
+/**
+ * Install Backups
+ *
+ * Every run that changes a project (install, upgrade, uninstall, doctor --fix)
+ * snapshots the files it is about to touch under
+ * .agentbootup/backups/<timestamp>/ first, and records the paths it creates,
+ * so `bootup rollback` can put the project back exactly as it was:
+ *
+ *   .agentbootup/backups/2026-10-19T09-30-00-000Z/
+ *     backup.json          { id, command, createdAt, files: [{ rel, existed }] }
+ *     files/<rel>          previous content of each overwritten file
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { MANIFEST_DIR } from './manifest.js';
+import { pruneEmptyDirs } from './scaffold.js';
+
+export const BACKUPS_DIR = `${MANIFEST_DIR}/backups`;
+
+function backupDir(target, id) {
+  return path.join(target, BACKUPS_DIR, id);
+}
+
+/**
+ * Backup id for a point in time; sorts chronologically
+ */
+export function backupId(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Start recording one run. Nothing is written until the first snapshot.
+ */
+export function createBackup(target, { command, dryRun = false }) {
+  return { target, id: backupId(), command, dryRun, files: new Map() };
+}
+
+/**
+ * Save a path's current state before the run changes it.
+ * Only the first snapshot of a path counts; a missing path is recorded as created by the run.
+ */
+export function snapshot(backup, rel) {
+  if (!backup || backup.dryRun || backup.files.has(rel)) return;
+
+  const src = path.join(backup.target, rel);
+  const existed = fs.existsSync(src);
+  if (existed) {
+    const dest = path.join(backupDir(backup.target, backup.id), 'files', rel);
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.copyFileSync(src, dest);
+  }
+  backup.files.set(rel, { rel, existed });
+}
+
+/**
+ * Write the backup record. Returns the backup id, or null if the run changed nothing.
+ */
+export function finishBackup(backup) {
+  if (!backup || backup.dryRun || backup.files.size === 0) return null;
+
+  const record = {
+    id: backup.id,
+    command: backup.command,
+    createdAt: new Date().toISOString(),
+    files: [...backup.files.values()]
+  };
+  fs.mkdirSync(backupDir(backup.target, backup.id), { recursive: true });
+  fs.writeFileSync(path.join(backupDir(backup.target, backup.id), 'backup.json'), JSON.stringify(record, null, 2) + '\n');
+  return backup.id;
+}
+
+/**
+ * Recorded backups, oldest first
+ */
+export function listBackups(target) {
+  const root = path.join(target, BACKUPS_DIR);
+  if (!fs.existsSync(root)) return [];
+
+  return fs.readdirSync(root)
+    .filter(id => fs.existsSync(path.join(root, id, 'backup.json')))
+    .sort()
+    .map(id => JSON.parse(fs.readFileSync(path.join(root, id, 'backup.json'), 'utf-8')));
+}
+
+/**
+ * Undo one run: restore overwritten files and delete the ones it created.
+ * The backup is removed afterwards.
+ *
+ * @returns {Array<{type: 'restored'|'removed'|'wouldRestore'|'wouldRemove', rel: string}>}
+ */
+export function restoreBackup(target, record, { dryRun = false } = {}) {
+  const dir = backupDir(target, record.id);
+  const actions = [];
+
+  for (const { rel, existed } of record.files) {
+    const dest = path.join(target, rel);
+    if (existed) {
+      if (!dryRun) {
+        fs.mkdirSync(path.dirname(dest), { recursive: true });
+        fs.copyFileSync(path.join(dir, 'files', rel), dest);
+      }
+      actions.push({ type: dryRun ? 'wouldRestore' : 'restored', rel });
+    } else if (fs.existsSync(dest)) {
+      if (!dryRun) {
+        fs.rmSync(dest);
+        pruneEmptyDirs(target, rel);
+      }
+      actions.push({ type: dryRun ? 'wouldRemove' : 'removed', rel });
+    }
+  }
+
+  if (!dryRun) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    pruneEmptyDirs(target, path.join(BACKUPS_DIR, record.id));
+  }
+  return actions;
+}
@@ -0,0 +1,138 @@
+/**
+ * Token Budget
+ *
+ * Estimates how many context tokens the installed agent assets cost, per
+ * file, category and platform. Fragments (the blocks bootup maintains in
+ * CLAUDE.md, GEMINI.md, AGENTS.md and copilot-instructions.md) are loaded in
+ * every session, so they are reported separately from files that load on
+ * demand.
+ *
+ * Counts come from a local approximation of a BPE tokenizer, not a real
+ * one: good for comparing files and spotting outliers, not for exact limits.
+ */
+
+import path from 'path';
+
+export const DEFAULT_MAX_TOKENS = 4000;
+
+// Files an assistant reads as context; scripts and config are not
+const CONTEXT_EXTENSIONS = new Set(['.md', '.mdc', '.toml']);
+
+const PLATFORM_PREFIXES = [
+  ['.claude/', 'claude'],
+  ['.gemini/', 'gemini'],
+  ['.codex/', 'codex'],
+  ['.cursor/', 'cursor'],
+  ['.ai-skills/', 'cursor'],
+  ['.github/', 'copilot'],
+  ['.windsurf/', 'windsurf']
+];
+
+const FRAGMENT_PLATFORMS = {
+  'CLAUDE.md': 'claude',
+  'GEMINI.md': 'gemini',
+  'AGENTS.md': 'codex',
+  '.github/copilot-instructions.md': 'copilot'
+};
+
+// Words, numbers, whitespace runs and single punctuation marks
+const PIECE_PATTERN = /[A-Za-z]+|\d+|\s+|[^\sA-Za-z\d]/g;
+
+/**
+ * Approximate token count: common words are one token, long words one per
+ * ~4 letters, digits one per 3, punctuation one each. Spaces join the next
+ * word; a run containing line breaks is one token.
+ */
+export function estimateTokens(text) {
+  let tokens = 0;
+  for (const [piece] of String(text).matchAll(PIECE_PATTERN)) {
+    if (/^\s/.test(piece)) tokens += piece.includes('\n') || piece.length > 1 ? 1 : 0;
+    else if (/^\d/.test(piece)) tokens += Math.ceil(piece.length / 3);
+    else if (/^[A-Za-z]/.test(piece)) tokens += Math.max(1, Math.round(piece.length / 4));
+    else tokens += 1;
+  }
+  return tokens;
+}
+
+export function isContextFile(rel) {
+  return CONTEXT_EXTENSIONS.has(path.extname(rel));
+}
+
+/**
+ * The assistant a file is installed for, or 'shared' (ai-dev-tasks, memory, docs)
+ */
+export function platformOf(rel) {
+  const match = PLATFORM_PREFIXES.find(([prefix]) => rel.startsWith(prefix));
+  return match ? match[1] : 'shared';
+}
+
+function totals(items, key) {
+  const groups = new Map();
+  for (const item of items) {
+    const group = groups.get(item[key]) || { name: item[key], files: 0, tokens: 0 };
+    group.files++;
+    group.tokens += item.tokens;
+    groups.set(item[key], group);
+  }
+  return [...groups.values()].sort((a, b) => b.tokens - a.tokens || a.name.localeCompare(b.name));
+}
+
+/**
+ * @param {Array<{ rel, category, text }>} files - Files loaded on demand
+ * @param {Array<{ source, file, text }>} fragments - Blocks in always-loaded instructions files
+ * @param {object} [options]
+ * @param {number} [options.maxTokens] - Files above this many tokens are flagged
+ * @returns {{ maxTokens, total, files, over, byCategory, byPlatform, fragments, fragmentTokens }}
+ */
+export function budgetReport(files, fragments, { maxTokens = DEFAULT_MAX_TOKENS } = {}) {
+  const measured = files
+    .map(({ rel, category, text }) => ({ rel, category, platform: platformOf(rel), tokens: estimateTokens(text) }))
+    .sort((a, b) => b.tokens - a.tokens || a.rel.localeCompare(b.rel));
+  const measuredFragments = fragments
+    .map(({ source, file, text }) => ({ source, file, platform: FRAGMENT_PLATFORMS[file] || platformOf(file), tokens: estimateTokens(text) }))
+    .sort((a, b) => a.file.localeCompare(b.file) || a.source.localeCompare(b.source));
+
+  return {
+    maxTokens,
+    total: measured.reduce((sum, f) => sum + f.tokens, 0),
+    files: measured,
+    over: measured.filter(f => f.tokens > maxTokens),
+    byCategory: totals(measured, 'category'),
+    byPlatform: totals(measured, 'platform'),
+    fragments: measuredFragments,
+    fragmentTokens: measuredFragments.reduce((sum, f) => sum + f.tokens, 0)
+  };
+}
+
+/**
+ * Human-readable report; lists every file with verbose, otherwise the largest ones
+ */
+export function formatBudgetReport(report, { verbose = false, top = 10 } = {}) {
+  const n = value => value.toLocaleString('en-US');
+  const width = Math.max(8, ...report.byCategory.map(g => g.name.length), ...report.byPlatform.map(g => g.name.length));
+  const row = g => `  ${g.name.padEnd(width)} ${n(g.tokens).padStart(9)} tokens  ${g.files} file${g.files === 1 ? '' : 's'}`;
+  const lines = [];
+
+  lines.push('Always loaded (instruction-file fragments):');
+  if (report.fragments.length === 0) lines.push('  (none)');
+  for (const f of report.fragments) lines.push(`  ${n(f.tokens).padStart(7)}  ${f.file} ← ${f.source}`);
+  if (report.fragments.length > 0) lines.push(`  ${n(report.fragmentTokens).padStart(7)}  total, in every session`);
+
+  lines.push('', `Loaded on demand: ${n(report.total)} tokens in ${report.files.length} files`);
+  lines.push('', 'By category:', ...report.byCategory.map(row));
+  lines.push('', 'By platform:', ...report.byPlatform.map(row));
+
+  const listed = verbose ? report.files : report.files.slice(0, top);
+  lines.push('', verbose ? 'Files:' : `Largest files${report.files.length > top ? ` (top ${top}; --verbose lists all)` : ''}:`);
+  for (const f of listed) lines.push(`  ${n(f.tokens).padStart(7)}  ${f.rel}${f.tokens > report.maxTokens ? '  ⚠ over budget' : ''}`);
+
+  lines.push('');
+  if (report.over.length === 0) {
+    lines.push(`✓ No file is over ${n(report.maxTokens)} tokens`);
+  } else {
+    lines.push(`⚠ ${report.over.length} file${report.over.length === 1 ? '' : 's'} over ${n(report.maxTokens)} tokens (--max-tokens to change):`);
+    for (const f of report.over) lines.push(`  ${n(f.tokens).padStart(7)}  ${f.rel}`);
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,85 @@
+/**
+ * Skills Catalog
+ *
+ * templates/skills.json is generated by sync-templates from SKILL.md
+ * frontmatter: one entry per skill with its description, category, the
+ * platforms it ships to and its generated command, workflow and ai-dev-task.
+ * `bootup list` and `bootup search` read it instead of the templates tree.
+ * A templates tree without skills.json gets the same catalog built from the
+ * skills it ships, except that hand-maintained overrides are not known.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { readSkillFrontmatter } from './frontmatter.js';
+import { listTemplateCatalog } from './selection.js';
+
+export const CATALOG_FILE = 'skills.json';
+
+// Where each platform's copy of a skill is shipped, in skills.json platform order
+const PLATFORM_FILES = {
+  claude: name => `.claude/skills/${name}/SKILL.md`,
+  windsurf: name => `.windsurf/workflows/${name}.md`,
+  codex: name => `.codex/skills/${name}/SKILL.md`,
+  copilot: name => `.github/prompts/${name}.prompt.md`,
+  cursor: name => `.cursor/rules/${name}.mdc`,
+  gemini: name => `.gemini/skills/${name}/SKILL.md`
+};
+
+// SKILL.md copies to read frontmatter from, most authoritative first
+const DEFINITION_PLATFORMS = ['claude', 'gemini', 'codex'];
+
+/**
+ * The catalog of the skills shipped in a templates tree, built from their files
+ */
+export function buildCatalog(templatesRoot) {
+  const shipped = rel => fs.existsSync(path.join(templatesRoot, rel));
+  const orNull = rel => (shipped(rel) ? rel : null);
+  const platforms = Object.keys(PLATFORM_FILES);
+
+  const skills = [...listTemplateCatalog(templatesRoot).skills].sort().map(name => {
+    // A skill directory may lack SKILL.md; it is listed without frontmatter then
+    const rel = DEFINITION_PLATFORMS.map(p => PLATFORM_FILES[p](name)).find(shipped);
+    const { data } = rel ? readSkillFrontmatter(fs.readFileSync(path.join(templatesRoot, rel), 'utf-8'), { file: rel }) : { data: {} };
+    return {
+      name,
+      description: String(data.description || '').trim(),
+      category: data.category || null,
+      platforms: platforms.filter(p => shipped(PLATFORM_FILES[p](name))),
+      overrides: [],
+      requires: Array.isArray(data.requires) ? data.requires : [],
+      command: orNull(`.claude/commands/${name}.md`),
+      workflow: orNull(PLATFORM_FILES.windsurf(name)),
+      aiDevTask: orNull(`ai-dev-tasks/${name}.md`)
+    };
+  });
+
+  return { platforms, skills };
+}
+
+/**
+ * The catalog shipped with a templates tree, or built from its skills when
+ * skills.json has not been generated
+ *
+ * @returns {{ platforms: string[], skills: Array<{ name, description, category, platforms, overrides, requires, command, workflow, aiDevTask }> }}
+ */
+export function readCatalog(templatesRoot) {
+  const file = path.join(templatesRoot, CATALOG_FILE);
+  if (!fs.existsSync(file)) return buildCatalog(templatesRoot);
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+/**
+ * Skills matching every word of the search term in their name, description or
+ * category (case-insensitive); name matches first
+ */
+export function searchCatalog(catalog, term) {
+  const words = String(term).toLowerCase().split(/\s+/).filter(Boolean);
+  const haystack = s => [s.name, s.description, s.category].filter(Boolean).join(' ').toLowerCase();
+
+  return catalog.skills
+    .filter(s => words.every(w => haystack(s).includes(w)))
+    .map(s => ({ skill: s, inName: words.filter(w => s.name.includes(w)).length }))
+    .sort((a, b) => b.inName - a.inName || a.skill.name.localeCompare(b.skill.name))
+    .map(({ skill }) => skill);
+}
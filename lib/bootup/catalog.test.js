@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCatalog, readCatalog, searchCatalog } from './catalog.js';
+import { tempProject } from '../test-helpers.js';
+
+const SKILL = '---\nname: memory-manager\ndescription: Keeps project memory current\ncategory: memory\n---\n\n# Memory Manager\n';
+
+test('without skills.json the catalog is built from the shipped skills', t => {
+  const templates = tempProject(t, {
+    '.gemini/skills/memory-manager/SKILL.md': SKILL,
+    '.codex/skills/memory-manager/SKILL.md': SKILL,
+    '.windsurf/workflows/memory-manager.md': '# Memory Manager\n',
+    '.gemini/skills/bare/notes.md': 'No SKILL.md here\n'
+  });
+
+  const catalog = readCatalog(templates);
+
+  assert.deepEqual(catalog, buildCatalog(templates));
+  assert.deepEqual(catalog.skills.map(s => s.name), ['bare', 'memory-manager']);
+  const skill = catalog.skills[1];
+  assert.equal(skill.description, 'Keeps project memory current');
+  assert.equal(skill.category, 'memory');
+  assert.deepEqual(skill.platforms, ['windsurf', 'codex', 'gemini']);
+  assert.equal(skill.workflow, '.windsurf/workflows/memory-manager.md');
+  assert.equal(skill.command, null);
+  assert.deepEqual(searchCatalog(catalog, 'project memory').map(s => s.name), ['memory-manager']);
+});
+
+test('skills.json is read when present', t => {
+  const shipped = { platforms: ['claude'], skills: [{ name: 'from-json', description: '', category: null, platforms: ['claude'] }] };
+  const templates = tempProject(t, {
+    'skills.json': JSON.stringify(shipped),
+    '.gemini/skills/memory-manager/SKILL.md': SKILL
+  });
+
+  assert.deepEqual(readCatalog(templates), shipped);
+});
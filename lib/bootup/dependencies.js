@@ -0,0 +1,201 @@
+/**
+ * Skill and Agent Dependencies
+ *
+ * Skills and agents list what they need to work in a `requires:` frontmatter
+ * key: names of other skills or agents (a name that is both is ambiguous).
+ *
+ *   ---
+ *   name: task-processor-parallel
+ *   requires: [task-processor, tdd-developer]
+ *   ---
+ *
+ * When skills or agents are selected by name, install pulls in everything
+ * they require, transitively, unless `--no-deps` is given.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseFrontmatter } from './frontmatter.js';
+
+// Where skill and agent definitions are read from, most authoritative first
+const DEFINITION_PLATFORMS = ['.claude', '.gemini', '.codex'];
+
+export function nodeKey(kind, name) {
+  return `${kind}:${name}`;
+}
+
+function definitionFiles(root, platforms) {
+  const files = new Map();
+  const add = (kind, name, file) => {
+    const key = nodeKey(kind, name);
+    if (!files.has(key) && fs.existsSync(file)) files.set(key, { kind, name, file });
+  };
+
+  for (const platform of platforms) {
+    const skillsDir = path.join(root, platform, 'skills');
+    if (fs.existsSync(skillsDir)) {
+      for (const e of fs.readdirSync(skillsDir, { withFileTypes: true })) {
+        if (e.isDirectory()) add('skill', e.name, path.join(skillsDir, e.name, 'SKILL.md'));
+      }
+    }
+    const agentsDir = path.join(root, platform, 'agents');
+    if (fs.existsSync(agentsDir)) {
+      for (const e of fs.readdirSync(agentsDir, { withFileTypes: true })) {
+        if (e.isFile() && e.name.endsWith('.md')) add('agent', e.name.slice(0, -3), path.join(agentsDir, e.name));
+      }
+    }
+  }
+  return files;
+}
+
+/**
+ * Read `requires:` from every skill and agent in the given template roots.
+ * Later roots (packs) replace earlier definitions of the same skill or agent.
+ *
+ * @param {string[]} roots - Template roots, lowest precedence first
+ * @param {object} [options]
+ * @param {string[]} [options.platforms] - Platform directories to read definitions from
+ * @param {string} [options.relativeTo] - Directory that file paths in errors are relative to
+ * @returns {Map<string, { kind, name, file, line, requires: string[] }>} keyed by nodeKey
+ */
+export function readDependencyGraph(roots, { platforms = DEFINITION_PLATFORMS, relativeTo = null } = {}) {
+  const graph = new Map();
+
+  for (const root of roots) {
+    for (const [key, { kind, name, file }] of definitionFiles(root, platforms)) {
+      const rel = relativeTo ? path.relative(relativeTo, file) : file;
+      const { data } = parseFrontmatter(fs.readFileSync(file, 'utf-8'), { file: rel });
+      const requires = Array.isArray(data.requires) ? data.requires.map(String) : [];
+      graph.set(key, { kind, name, file: rel, line: data.__lines?.requires ?? 1, requires });
+    }
+  }
+
+  return graph;
+}
+
+/**
+ * Platform copies whose `requires:` differs from the definition that wins.
+ * Only the most authoritative definition of a skill or agent is read, so
+ * requirements declared on another platform's copy alone are ignored.
+ *
+ * @returns {Array<{ file, line, message }>}
+ */
+export function ignoredRequirements(root, { platforms = DEFINITION_PLATFORMS, relativeTo = null } = {}) {
+  const [authoritative, ...others] = platforms;
+  const winning = readDependencyGraph([root], { platforms: [authoritative], relativeTo });
+  const problems = [];
+
+  for (const platform of others) {
+    for (const node of readDependencyGraph([root], { platforms: [platform], relativeTo }).values()) {
+      const source = winning.get(nodeKey(node.kind, node.name));
+      if (!source || [...source.requires].sort().join() === [...node.requires].sort().join()) continue;
+      problems.push({
+        file: node.file,
+        line: node.line,
+        message: `requires: differs from ${source.file}, which is the one read; declare it there`
+      });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * The node a `requires:` entry names: { key } or { error } if unknown or ambiguous
+ */
+export function resolveRequirement(graph, name) {
+  const skill = graph.has(nodeKey('skill', name));
+  const agent = graph.has(nodeKey('agent', name));
+  if (skill && agent) return { error: `"${name}" is both a skill and an agent` };
+  if (skill) return { key: nodeKey('skill', name) };
+  if (agent) return { key: nodeKey('agent', name) };
+  return { error: `requires unknown skill or agent "${name}"` };
+}
+
+/**
+ * Unknown or ambiguous requirements and dependency cycles.
+ *
+ * @returns {Array<{ file, line, message }>}
+ */
+export function validateDependencyGraph(graph) {
+  const problems = [];
+
+  for (const node of graph.values()) {
+    for (const name of node.requires) {
+      const { error } = resolveRequirement(graph, name);
+      if (error) problems.push({ file: node.file, line: node.line, message: error });
+    }
+  }
+
+  // Depth-first search; a node reached again while still on the stack closes a cycle
+  const state = new Map();
+  const stack = [];
+  const reported = new Set();
+  const visit = (key) => {
+    state.set(key, 'active');
+    stack.push(key);
+    for (const name of graph.get(key).requires) {
+      const { key: next } = resolveRequirement(graph, name);
+      if (!next) continue;
+      if (state.get(next) === 'active') {
+        const cycle = [...stack.slice(stack.indexOf(next)), next];
+        const id = cycle.slice(0, -1).sort().join(' ');
+        if (!reported.has(id)) {
+          reported.add(id);
+          const start = graph.get(next);
+          problems.push({ file: start.file, line: start.line, message: `Dependency cycle: ${cycle.join(' → ')}` });
+        }
+      } else if (!state.has(next)) {
+        visit(next);
+      }
+    }
+    stack.pop();
+    state.set(key, 'done');
+  };
+  for (const key of [...graph.keys()].sort()) {
+    if (!state.has(key)) visit(key);
+  }
+
+  return problems;
+}
+
+/**
+ * Add everything the selected skills and agents require, transitively.
+ * A null list means "all" and is left as is.
+ *
+ * @returns {{ skills: string[]|null, agents: string[]|null, added: Array<{ kind, name, requiredBy }> }}
+ */
+export function resolveDependencies(graph, { skills = null, agents = null }) {
+  const chosen = { skill: skills ? new Set(skills) : null, agent: agents ? new Set(agents) : null };
+  const added = [];
+  // Every node of a kind selected as "all" is installed, so its requirements count too
+  const queue = [...graph.values()]
+    .filter(node => (chosen[node.kind] ? chosen[node.kind].has(node.name) : true))
+    .map(node => nodeKey(node.kind, node.name));
+  const seen = new Set(queue);
+
+  while (queue.length > 0) {
+    const node = graph.get(queue.shift());
+    if (!node) continue;
+    for (const name of node.requires) {
+      const { key } = resolveRequirement(graph, name);
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+      queue.push(key);
+
+      const dep = graph.get(key);
+      const set = chosen[dep.kind];
+      // A kind selected as "all" already includes the dependency
+      if (set && !set.has(dep.name)) {
+        set.add(dep.name);
+        added.push({ kind: dep.kind, name: dep.name, requiredBy: node.name });
+      }
+    }
+  }
+
+  return {
+    skills: chosen.skill ? [...chosen.skill] : null,
+    agents: chosen.agent ? [...chosen.agent] : null,
+    added
+  };
+}
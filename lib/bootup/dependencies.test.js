@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { readDependencyGraph, resolveDependencies, ignoredRequirements } from './dependencies.js';
+import { tempProject } from '../test-helpers.js';
+
+function templates(t, skills) {
+  const files = {};
+  for (const [rel, requires] of Object.entries(skills)) {
+    const [platform, name] = rel.split('/');
+    const frontmatter = requires ? `name: ${name}\nrequires: [${requires.join(', ')}]` : `name: ${name}`;
+    files[`${platform}/skills/${name}/SKILL.md`] = `---\n${frontmatter}\ndescription: ${name}\n---\n\n# ${name}\n`;
+  }
+  return tempProject(t, files);
+}
+
+test('requires: comes from the .claude definition when both platforms define the skill', (t) => {
+  const root = templates(t, {
+    '.claude/task-processor': null,
+    '.claude/tdd-developer': null,
+    '.claude/task-processor-parallel': ['task-processor', 'tdd-developer'],
+    '.gemini/task-processor-parallel': ['task-processor', 'tdd-developer']
+  });
+
+  const graph = readDependencyGraph([root]);
+  assert.deepEqual(graph.get('skill:task-processor-parallel').requires, ['task-processor', 'tdd-developer']);
+  assert.equal(graph.get('skill:task-processor-parallel').file, path.join(root, '.claude', 'skills', 'task-processor-parallel', 'SKILL.md'));
+
+  const { skills } = resolveDependencies(graph, { skills: ['task-processor-parallel'] });
+  assert.deepEqual(skills.sort(), ['task-processor', 'task-processor-parallel', 'tdd-developer']);
+  assert.deepEqual(ignoredRequirements(root), []);
+});
+
+test('requires: declared only on a platform copy is reported as ignored', (t) => {
+  const root = templates(t, {
+    '.claude/task-processor': null,
+    '.claude/task-processor-parallel': null,
+    '.gemini/task-processor-parallel': ['task-processor']
+  });
+
+  assert.deepEqual(readDependencyGraph([root]).get('skill:task-processor-parallel').requires, []);
+
+  const problems = ignoredRequirements(root, { relativeTo: root });
+  assert.equal(problems.length, 1);
+  assert.equal(problems[0].file, path.join('.gemini', 'skills', 'task-processor-parallel', 'SKILL.md'));
+  assert.match(problems[0].message, /\.claude\/skills\/task-processor-parallel\/SKILL\.md/);
+});
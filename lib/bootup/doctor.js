@@ -0,0 +1,253 @@
+/**
+ * Bootup Doctor
+ *
+ * Validates an installed project: cross-references between agents, skills,
+ * commands and workflows, SKILL.md frontmatter, instruction-file fragments,
+ * required directories and files recorded in the install manifest.
+ *
+ * Each finding carries a fix suggestion; safe fixes also carry a `fix`
+ * function that `bootup doctor --fix` applies.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { readManifest, computeStatus, readBase } from './manifest.js';
+import { ensureTasksDir, ensureDailyNote, today } from './scaffold.js';
+import { snapshot } from './backups.js';
+import { readSkillFrontmatter } from './frontmatter.js';
+import { SKILL_REF_PATTERN, PLACEHOLDER_PATTERN, listMarkdown, liveLines } from './references.js';
+
+// Directories whose markdown files may reference other assets
+const SCAN_ROOTS = [
+  '.claude/agents', '.claude/skills', '.claude/commands',
+  '.gemini/agents', '.gemini/skills', '.gemini/commands',
+  '.codex/skills',
+  '.windsurf/workflows',
+  'ai-dev-tasks'
+];
+
+// Skill directories whose SKILL.md frontmatter is validated
+const SKILL_ROOTS = ['.claude/skills', '.gemini/skills', '.codex/skills'];
+
+// Commands and workflows exist only to invoke a skill, so a dangling reference breaks them
+const STRICT_ROOTS = ['.claude/commands', '.gemini/commands', '.windsurf/workflows'];
+
+const PATH_REF_PATTERN = /\.(claude|gemini|codex)\/(agents|skills|commands)\/([A-Za-z0-9][\w.-]*)/g;
+
+function platformOf(rel) {
+  if (rel.startsWith('.gemini/')) return 'gemini';
+  if (rel.startsWith('.codex/')) return 'codex';
+  return 'claude';
+}
+
+function installHint(kind, name, platform, catalog) {
+  const known = kind === 'skills' ? catalog.skills : catalog.agents;
+  if (!known.has(name)) return 'Remove or update the reference; no such template ships with agentbootup';
+  const subset = platform === 'claude' ? kind : platform;
+  const flag = kind === 'skills' ? '--skills' : '--agents';
+  return `Install it: bootup --subset ${subset} ${flag} ${name}`;
+}
+
+function checkReferences(target, catalog) {
+  const findings = [];
+
+  for (const root of SCAN_ROOTS) {
+    const strict = STRICT_ROOTS.includes(root);
+
+    for (const abs of listMarkdown(path.join(target, root))) {
+      const rel = path.relative(target, abs).replaceAll('\\', '/');
+      const content = liveLines(fs.readFileSync(abs, 'utf-8')).join('\n');
+      const seen = new Set();
+
+      const report = (ref, kind, name, platform, exists) => {
+        if (exists || seen.has(ref) || PLACEHOLDER_PATTERN.test(name)) return;
+        seen.add(ref);
+        findings.push({
+          check: 'references',
+          severity: strict ? 'error' : 'warning',
+          file: rel,
+          message: `References ${ref}, which is not installed`,
+          suggestion: installHint(kind, name.replace(/\.md$/, ''), platform, catalog)
+        });
+      };
+
+      for (const [ref, name] of content.matchAll(SKILL_REF_PATTERN)) {
+        const platform = platformOf(rel);
+        report(ref, 'skills', name, platform, fs.existsSync(path.join(target, `.${platform}`, 'skills', name)));
+      }
+
+      for (const [ref, platform, kind, name] of content.matchAll(PATH_REF_PATTERN)) {
+        const base = path.join(target, `.${platform}`, kind, name);
+        const exists = fs.existsSync(base) || (kind !== 'skills' && fs.existsSync(`${base}.md`));
+        report(ref, kind === 'commands' ? 'skills' : kind, name, platform, exists);
+      }
+    }
+  }
+
+  return findings;
+}
+
+function checkFrontmatter(target) {
+  const findings = [];
+
+  for (const root of SKILL_ROOTS) {
+    const dir = path.join(target, root);
+    if (!fs.existsSync(dir)) continue;
+
+    for (const name of fs.readdirSync(dir).sort()) {
+      const rel = `${root}/${name}/SKILL.md`;
+      const file = path.join(target, rel);
+      if (!fs.existsSync(file)) continue;
+
+      for (const problem of readSkillFrontmatter(fs.readFileSync(file, 'utf-8'), { file: rel }).problems) {
+        findings.push({
+          check: 'frontmatter',
+          severity: 'warning',
+          file: `${rel}:${problem.line}`,
+          message: problem.message,
+          suggestion: 'Fix the frontmatter; see the SKILL.md schema in the README'
+        });
+      }
+    }
+  }
+
+  return findings;
+}
+
+// Most repositories have .github/ for workflows; Copilot assets are what count
+const COPILOT_PATHS = ['.github/prompts', '.github/chatmodes', '.github/copilot-instructions.md'];
+
+function platformInstalled(target, platformDir) {
+  const paths = platformDir === '.github' ? COPILOT_PATHS : [platformDir];
+  return paths.some(rel => fs.existsSync(path.join(target, rel)));
+}
+
+function checkFragments(target, fragments, fixers) {
+  if (!fs.existsSync(path.join(target, 'memory'))) return [];
+  const findings = [];
+
+  for (const { targetRel, platformDir, name, marker } of fragments) {
+    // Only expect a fragment for CLIs that are installed
+    if (!platformInstalled(target, platformDir)) continue;
+
+    const file = path.join(target, targetRel);
+    const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : null;
+    if (current !== null && current.includes(marker)) continue;
+
+    findings.push({
+      check: 'fragments',
+      severity: 'error',
+      file: targetRel,
+      message: current === null ? `${targetRel} is missing` : `${targetRel} is missing the ${name} fragment block`,
+      suggestion: `Append the fragment: bootup --subset memory (or bootup doctor --fix)`,
+      fix: fixers.fragment ? () => fixers.fragment(targetRel) : null
+    });
+  }
+
+  return findings;
+}
+
+function checkDirectories(target, backup) {
+  const findings = [];
+
+  if (fs.existsSync(path.join(target, 'memory'))) {
+    const dailyDir = path.join(target, 'memory', 'daily');
+    const notes = fs.existsSync(dailyDir) ? fs.readdirSync(dailyDir).filter(f => f.endsWith('.md') && f !== 'TEMPLATE.md') : [];
+    if (notes.length === 0) {
+      findings.push({
+        check: 'directories',
+        severity: 'warning',
+        file: 'memory/daily/',
+        message: fs.existsSync(dailyDir) ? 'memory/daily/ has no daily notes' : 'memory/daily/ is missing',
+        suggestion: "Create today's daily note",
+        fix: () => {
+          snapshot(backup, `memory/daily/${today()}.md`);
+          ensureDailyNote(target);
+        }
+      });
+    }
+  }
+
+  if (fs.existsSync(path.join(target, 'ai-dev-tasks')) && !fs.existsSync(path.join(target, 'tasks'))) {
+    findings.push({
+      check: 'directories',
+      severity: 'warning',
+      file: 'tasks/',
+      message: 'tasks/ is missing (ai-dev-tasks write task lists there)',
+      suggestion: 'Create tasks/ with a .gitkeep',
+      fix: () => {
+        snapshot(backup, 'tasks/.gitkeep');
+        ensureTasksDir(target);
+      }
+    });
+  }
+
+  return findings;
+}
+
+function checkManifest(target, backup) {
+  const manifest = readManifest(target);
+  if (!manifest) {
+    return [{
+      check: 'manifest',
+      severity: 'warning',
+      file: '.agentbootup/manifest.json',
+      message: 'No install manifest; status, upgrade and uninstall will not know which files are agentbootup-owned',
+      suggestion: 'Re-run bootup install (existing files are kept and adopted when unchanged)'
+    }];
+  }
+
+  return computeStatus(target, manifest).files
+    .filter(f => f.status === 'missing')
+    .map(f => {
+      const base = readBase(target, f.rel);
+      return {
+        check: 'manifest',
+        severity: 'warning',
+        file: f.rel,
+        message: 'Installed file is missing',
+        suggestion: base !== null ? 'Restore it from the installed template' : 'Reinstall it with bootup upgrade',
+        fix: base !== null
+          ? () => {
+              const dest = path.join(target, f.rel);
+              snapshot(backup, f.rel);
+              fs.mkdirSync(path.dirname(dest), { recursive: true });
+              fs.writeFileSync(dest, base);
+            }
+          : null
+      };
+    });
+}
+
+/**
+ * Run every check against a target project.
+ *
+ * @param {string} target - Project root
+ * @param {object} options
+ * @param {{skills: Set<string>, agents: Set<string>}} options.catalog - Skills/agents available to install
+ * @param {Array<{targetRel, platformDir, name, marker}>} options.fragments - Expected instruction-file fragments
+ * @param {object} options.fixers - Callbacks for fixes that need installer state ({ fragment(targetRel) })
+ * @param {object} [options.backup] - Backup that fixes snapshot files into before changing them
+ */
+export function diagnose(target, { catalog, fragments = [], fixers = {}, backup = null }) {
+  return [
+    ...checkReferences(target, catalog),
+    ...checkFrontmatter(target),
+    ...checkFragments(target, fragments, fixers),
+    ...checkDirectories(target, backup),
+    ...checkManifest(target, backup)
+  ];
+}
+
+/**
+ * Apply the safe fixes. Returns the findings that were fixed.
+ */
+export function applyFixes(findings) {
+  const fixed = [];
+  for (const finding of findings) {
+    if (!finding.fix) continue;
+    finding.fix();
+    fixed.push(finding);
+  }
+  return fixed;
+}
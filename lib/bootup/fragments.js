@@ -0,0 +1,128 @@
+/**
+ * Instruction-File Fragments
+ *
+ * Fragments are template sections that bootup maintains inside a project's
+ * own instructions files (CLAUDE.md, GEMINI.md, AGENTS.md,
+ * .github/copilot-instructions.md). Each fragment is
+ * wrapped in markers so later runs can replace it in place and uninstall can
+ * remove it without touching the surrounding hand-written content:
+ *
+ *   <!-- agentbootup:begin memory-system -->
+ *   ...
+ *   <!-- agentbootup:end memory-system -->
+ *
+ * A fragment template at `.<platform>/fragments/<NAME>.md` is installed as
+ * the block `<name>` (lower-kebab-case of NAME) in that platform's file.
+ */
+
+import path from 'path';
+
+export const FRAGMENT_TARGETS = {
+  '.claude': 'CLAUDE.md',
+  '.gemini': 'GEMINI.md',
+  '.codex': 'AGENTS.md',
+  '.github': '.github/copilot-instructions.md'
+};
+
+// Heading that identified the memory fragment before markers existed
+export const LEGACY_FRAGMENT_HEADING = '## Autonomous Memory System';
+
+const FRAGMENT_PATH_PATTERN = /^(\.[a-z]+)\/fragments\/([^/]+)\.md$/;
+
+export function beginMarker(name) {
+  return `<!-- agentbootup:begin ${name} -->`;
+}
+
+export function endMarker(name) {
+  return `<!-- agentbootup:end ${name} -->`;
+}
+
+/**
+ * Where a fragment template goes, or null if the path is not a fragment
+ */
+export function fragmentTarget(rel) {
+  const m = rel.match(FRAGMENT_PATH_PATTERN);
+  if (!m || !FRAGMENT_TARGETS[m[1]]) return null;
+  return {
+    targetRel: FRAGMENT_TARGETS[m[1]],
+    platformDir: m[1],
+    name: m[2].toLowerCase().replaceAll('_', '-')
+  };
+}
+
+/**
+ * Manifest key for a fragment block
+ */
+export function fragmentKey(targetRel, name) {
+  return `${targetRel}#${name}`;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function blockPattern(name) {
+  return new RegExp(`${escapeRegExp(beginMarker(name))}\\n?([\\s\\S]*?)\\n?${escapeRegExp(endMarker(name))}`);
+}
+
+/**
+ * Full marker-delimited block for a fragment
+ */
+export function renderBlock(name, content) {
+  return `${beginMarker(name)}\n${content.trim()}\n${endMarker(name)}`;
+}
+
+/**
+ * Content between the markers, or null if the block is absent
+ */
+export function readBlock(text, name) {
+  const m = text.match(blockPattern(name));
+  return m ? m[1] : null;
+}
+
+/**
+ * Insert or replace a block.
+ *
+ * @param {string} text - Current file content
+ * @param {string} name - Block name
+ * @param {string} content - Fragment content (without markers)
+ * @param {object} [options]
+ * @param {string} [options.legacyContent] - Exact text a pre-marker install appended; replaced by the block when found
+ * @returns {{ text: string, action: 'inserted'|'updated'|'unchanged'|'migrated'|'legacy' }}
+ */
+export function upsertBlock(text, name, content, { legacyContent } = {}) {
+  const block = renderBlock(name, content);
+  const pattern = blockPattern(name);
+
+  if (pattern.test(text)) {
+    const updated = text.replace(pattern, () => block);
+    return { text: updated, action: updated === text ? 'unchanged' : 'updated' };
+  }
+
+  if (legacyContent && text.includes(legacyContent.trim())) {
+    return { text: text.replace(legacyContent.trim(), () => block), action: 'migrated' };
+  }
+
+  // An older install appended the fragment without markers and it has since been edited
+  if (name === 'memory-system' && text.includes(LEGACY_FRAGMENT_HEADING)) {
+    return { text, action: 'legacy' };
+  }
+
+  const separator = text.length === 0 || text.endsWith('\n\n') ? '' : text.endsWith('\n') ? '\n' : '\n\n';
+  return { text: `${text}${separator}${block}\n`, action: 'inserted' };
+}
+
+/**
+ * Remove a block and the blank line that separated it from the content before it
+ */
+export function removeBlock(text, name) {
+  const pattern = new RegExp(`\\n*${blockPattern(name).source}\\n?`);
+  return text.replace(pattern, (match, _content, offset) => (offset === 0 ? '' : '\n'));
+}
+
+/**
+ * Header written when bootup has to create the instructions file itself
+ */
+export function newInstructionsFile(target) {
+  return `# ${path.basename(target)}\n\n`;
+}
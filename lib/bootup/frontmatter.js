@@ -0,0 +1,367 @@
+/**
+ * Markdown Frontmatter
+ *
+ * Parses the `---` delimited YAML header of SKILL.md and agent files. Only
+ * the YAML subset the templates use is supported:
+ *
+ *   - `key: value` maps, nested by indentation
+ *   - plain, 'single' and "double" quoted scalars, folded across lines
+ *   - `|` and `>` block scalars
+ *   - block lists (`- item`) and flow lists (`[a, b]`)
+ *   - true/false, null/~ and numbers (only when they round-trip, so `1.0` stays a string)
+ *   - `#` comments
+ *
+ * Errors name the file and line: `.claude/skills/x/SKILL.md:4: ...`.
+ * Skill and agent metadata is validated against SKILL_SCHEMA and AGENT_SCHEMA.
+ */
+
+const FRONTMATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/;
+
+const KEY_PATTERN = /^([A-Za-z0-9_][\w.-]*)\s*:(?:\s+(.*)|\s*)$/;
+
+/**
+ * SKILL.md frontmatter. Keys not listed here are allowed and passed through
+ * (e.g. license, globs and always_apply for Cursor).
+ */
+export const SKILL_SCHEMA = {
+  name: { type: 'string', required: true, pattern: /^[a-z0-9][a-z0-9-]*$/, hint: 'lower-kebab-case' },
+  description: { type: 'string', required: true },
+  platforms: { type: 'list' },
+  overrides: { type: 'list' },
+  requires: { type: 'list' },
+  version: { type: 'string' },
+  auto_generate: { type: 'boolean' },
+  category: { type: 'string' }
+};
+
+/**
+ * Agent frontmatter: nothing is required, but `requires` must be a list
+ */
+export const AGENT_SCHEMA = {
+  name: { type: 'string' },
+  description: { type: 'string' },
+  requires: { type: 'list' }
+};
+
+function fail(ctx, line, message) {
+  throw Object.assign(new Error(`${ctx.file}:${line}: ${message}`), { file: ctx.file, line, reason: message });
+}
+
+function indentOf(line) {
+  return line.match(/^ */)[0].length;
+}
+
+function isBlank(line) {
+  return /^\s*(?:#.*)?$/.test(line);
+}
+
+// Drop a trailing ` # comment` outside quotes
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if (c === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text.trimEnd();
+}
+
+function splitFlow(text) {
+  const items = [];
+  let quote = null;
+  let current = '';
+  for (const c of text) {
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if (c === ',') {
+      items.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += c;
+  }
+  if (current.trim()) items.push(current.trim());
+  return items;
+}
+
+function parseScalar(raw, ctx, line) {
+  const text = stripComment(raw.trim());
+
+  if (text.startsWith('"')) {
+    if (text.length < 2 || !text.endsWith('"')) fail(ctx, line, 'Unterminated double-quoted string');
+    try {
+      return JSON.parse(text.replace(/\t/g, '\\t'));
+    } catch {
+      fail(ctx, line, `Invalid double-quoted string: ${text}`);
+    }
+  }
+  if (text.startsWith("'")) {
+    if (text.length < 2 || !text.endsWith("'")) fail(ctx, line, 'Unterminated single-quoted string');
+    return text.slice(1, -1).replaceAll("''", "'");
+  }
+  if (text.startsWith('[')) {
+    if (!text.endsWith(']')) fail(ctx, line, 'Unterminated flow list (missing "]")');
+    return splitFlow(text.slice(1, -1)).map(item => parseScalar(item, ctx, line));
+  }
+  if (text.startsWith('{')) fail(ctx, line, 'Flow mappings ({...}) are not supported; use an indented block');
+
+  if (text === '' || text === 'null' || text === '~') return null;
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (/^-?\d+(?:\.\d+)?$/.test(text) && String(Number(text)) === text) return Number(text);
+  return text;
+}
+
+// A `|` or `>` block scalar: every following line indented deeper than the key
+function parseBlockScalar(lines, start, parentIndent, header) {
+  const body = [];
+  let i = start;
+  while (i < lines.length && (lines[i].trim() === '' || indentOf(lines[i]) > parentIndent)) {
+    body.push(lines[i]);
+    i++;
+  }
+  while (body.length > 0 && body[body.length - 1].trim() === '') body.pop();
+
+  const indent = Math.min(...body.filter(l => l.trim()).map(indentOf));
+  const content = body.map(l => l.slice(indent));
+  let text = header.startsWith('>')
+    ? content.reduce((out, l, idx) => {
+        if (idx === 0) return l;
+        if (l === '') return `${out}\n`;
+        return out.endsWith('\n') ? out + l : `${out} ${l}`;
+      }, '')
+    : content.join('\n');
+
+  if (header.endsWith('+')) text += '\n'.repeat(i - start - body.length + 1);
+  else if (!header.endsWith('-') && text) text += '\n';
+  return { value: text, next: i };
+}
+
+// A scalar that starts after `key:` (or `- `), folding continuation lines deeper than parentIndent
+function parseInlineValue(lines, i, parentIndent, rest, ctx) {
+  const line = i + ctx.lineOffset;
+  if (/^[|>][+-]?$/.test(rest.trim())) return parseBlockScalar(lines, i + 1, parentIndent, rest.trim());
+
+  let text = rest;
+  let next = i + 1;
+  const open = text.trim()[0];
+  const closed = () => {
+    const t = stripComment(text.trim());
+    if (open === '"') return t.length >= 2 && t.endsWith('"') && !t.endsWith('\\"');
+    if (open === "'") return t.length >= 2 && t.endsWith("'");
+    return t.endsWith(']');
+  };
+
+  // Quoted and flow values fold until they are closed; plain scalars until a line that is not a continuation
+  while (next < lines.length && !isBlank(lines[next]) && indentOf(lines[next]) > parentIndent) {
+    if (['"', "'", '['].includes(open) ? closed() : KEY_PATTERN.test(lines[next].trim())) break;
+    text = `${text.trimEnd()} ${lines[next].trim()}`;
+    next++;
+  }
+  return { value: parseScalar(text, ctx, line), next };
+}
+
+function parseList(lines, start, indent, ctx) {
+  const items = [];
+  let i = start;
+  while (i < lines.length) {
+    if (isBlank(lines[i])) {
+      i++;
+      continue;
+    }
+    const lineIndent = indentOf(lines[i]);
+    if (lineIndent < indent) break;
+    if (lineIndent > indent) fail(ctx, i + ctx.lineOffset, 'Unexpected indentation');
+    const m = lines[i].slice(indent).match(/^-(?:\s+(.*)|\s*)$/);
+    if (!m) break;
+
+    const rest = m[1] ?? '';
+    if (rest === '') {
+      const child = parseNested(lines, i + 1, indent, ctx);
+      items.push(child.value);
+      i = child.next;
+    } else if (KEY_PATTERN.test(stripComment(rest)) && !/^["'[]/.test(rest)) {
+      // `- key: value` starts a map whose keys line up with `key`
+      const column = lines[i].length - rest.length;
+      const shifted = [...lines];
+      shifted[i] = ' '.repeat(column) + rest;
+      const child = parseMap(shifted, i, column, ctx);
+      items.push(child.value);
+      i = child.next;
+    } else {
+      const item = parseInlineValue(lines, i, indent, rest, ctx);
+      items.push(item.value);
+      i = item.next;
+    }
+  }
+  return { value: items, next: i };
+}
+
+function parseMap(lines, start, indent, ctx) {
+  const value = {};
+  const keyLines = {};
+  let i = start;
+  while (i < lines.length) {
+    if (isBlank(lines[i])) {
+      i++;
+      continue;
+    }
+    const lineIndent = indentOf(lines[i]);
+    if (lineIndent < indent) break;
+    if (lineIndent > indent) fail(ctx, i + ctx.lineOffset, 'Unexpected indentation');
+
+    const body = lines[i].slice(indent);
+    if (body.startsWith('- ') || body === '-') break;
+    const m = body.match(KEY_PATTERN);
+    if (!m) fail(ctx, i + ctx.lineOffset, `Expected "key: value", got: ${body.trim()}`);
+
+    const [, key, rest = ''] = m;
+    if (Object.hasOwn(value, key)) fail(ctx, i + ctx.lineOffset, `Duplicate key "${key}" (first set on line ${keyLines[key]})`);
+    keyLines[key] = i + ctx.lineOffset;
+
+    if (stripComment(rest) === '') {
+      const child = parseNested(lines, i + 1, indent, ctx);
+      value[key] = child.value;
+      i = child.next;
+    } else {
+      const item = parseInlineValue(lines, i, indent, rest, ctx);
+      value[key] = item.value;
+      i = item.next;
+    }
+  }
+  Object.defineProperty(value, '__lines', { value: keyLines, enumerable: false });
+  return { value, next: i };
+}
+
+// The value under an empty `key:` or `-`: a deeper block, a same-level list after a key, or null
+function parseNested(lines, start, parentIndent, ctx) {
+  let i = start;
+  while (i < lines.length && isBlank(lines[i])) i++;
+  if (i >= lines.length) return { value: null, next: i };
+
+  const indent = indentOf(lines[i]);
+  const isListItem = /^-(?:\s|$)/.test(lines[i].slice(indent));
+  if (indent > parentIndent) {
+    return isListItem ? parseList(lines, i, indent, ctx) : parseMap(lines, i, indent, ctx);
+  }
+  if (indent === parentIndent && isListItem) return parseList(lines, i, indent, ctx);
+  return { value: null, next: start };
+}
+
+/**
+ * Parse a YAML-subset document.
+ *
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string} [options.file] - Path used in error messages
+ * @param {number} [options.lineOffset] - Line number of the first line of text
+ * @returns {object} Key/value map; `__lines` (non-enumerable) holds the line of each key
+ */
+export function parseYaml(text, { file = '<input>', lineOffset = 1 } = {}) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const ctx = { file, lineOffset };
+  lines.forEach((line, idx) => {
+    if (/^ *\t/.test(line)) fail(ctx, idx + lineOffset, 'Tabs are not allowed for indentation');
+  });
+
+  const { value, next } = parseMap(lines, 0, 0, ctx);
+  for (let i = next; i < lines.length; i++) {
+    if (!isBlank(lines[i])) fail(ctx, i + lineOffset, `Unexpected content: ${lines[i].trim()}`);
+  }
+  return value;
+}
+
+/**
+ * Split a markdown file into frontmatter data and body.
+ * Files without frontmatter return empty data.
+ *
+ * @returns {{ data: object, body: string, hasFrontmatter: boolean }}
+ */
+export function parseFrontmatter(content, { file } = {}) {
+  const m = content.match(FRONTMATTER_PATTERN);
+  if (!m) return { data: {}, body: content, hasFrontmatter: false };
+  // Line 1 is the opening ---
+  const data = parseYaml(m[1], { file, lineOffset: 2 });
+  return { data, body: content.slice(m[0].length), hasFrontmatter: true };
+}
+
+/**
+ * Markdown without its frontmatter block
+ */
+export function stripFrontmatter(content) {
+  return content.replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n*/, '');
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'list';
+  return typeof value === 'object' ? 'map' : typeof value;
+}
+
+/**
+ * Check parsed frontmatter against a schema.
+ *
+ * @returns {Array<{ file: string, line: number, message: string }>}
+ */
+export function validateFrontmatter(data, schema, { file = '<input>', hasFrontmatter = true } = {}) {
+  const problems = [];
+  const lines = data.__lines || {};
+  const report = (key, message) => problems.push({ file, line: lines[key] ?? 1, message });
+
+  if (!hasFrontmatter) {
+    return [{ file, line: 1, message: `Missing frontmatter (required: ${Object.keys(schema).filter(k => schema[k].required).join(', ')})` }];
+  }
+
+  for (const [key, rule] of Object.entries(schema)) {
+    const value = data[key];
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) report(key, `Missing required "${key}"`);
+      continue;
+    }
+
+    // Numbers are accepted where a string is expected (version: 2)
+    const actual = typeOf(value);
+    const ok = actual === rule.type || (rule.type === 'string' && actual === 'number');
+    if (!ok) {
+      report(key, `"${key}" must be a ${rule.type}, got ${actual}`);
+      continue;
+    }
+    if (rule.type === 'list' && value.some(v => typeof v !== 'string')) {
+      report(key, `"${key}" must be a list of strings`);
+    }
+    if (rule.pattern && !rule.pattern.test(String(value))) {
+      report(key, `"${key}" must be ${rule.hint || `like ${rule.pattern}`}, got "${value}"`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Parse and validate a SKILL.md. Parse errors are returned as problems.
+ *
+ * @returns {{ data: object, body: string, problems: Array<{ file, line, message }> }}
+ */
+export function readSkillFrontmatter(content, { file = '<input>' } = {}) {
+  try {
+    const { data, body, hasFrontmatter } = parseFrontmatter(content, { file });
+    return { data, body, problems: validateFrontmatter(data, SKILL_SCHEMA, { file, hasFrontmatter }) };
+  } catch (err) {
+    if (!err.reason) throw err;
+    return { data: {}, body: stripFrontmatter(content), problems: [{ file, line: err.line, message: err.reason }] };
+  }
+}
+
+/**
+ * `file:line: message`
+ */
+export function formatProblem({ file, line, message }) {
+  return `${file}:${line}: ${message}`;
+}
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseYaml, parseFrontmatter, readSkillFrontmatter, formatProblem } from './frontmatter.js';
+
+test('parses the YAML subset the templates use', () => {
+  const data = parseYaml([
+    'name: prd-writer # trailing comment',
+    "quoted: 'a # b'",
+    'version: 1.0',
+    'count: 3',
+    'auto_generate: false',
+    'empty: ~',
+    'platforms: [claude, gemini]',
+    'requires:',
+    '  - task-processor',
+    '  - tdd-developer',
+    'description: >',
+    '  Folded',
+    '  text',
+    'notes: |',
+    '  line one',
+    '  line two',
+    'nested:',
+    '  key: value'
+  ].join('\n'));
+
+  assert.deepEqual({ ...data }, {
+    name: 'prd-writer',
+    quoted: 'a # b',
+    version: '1.0',
+    count: 3,
+    auto_generate: false,
+    empty: null,
+    platforms: ['claude', 'gemini'],
+    requires: ['task-processor', 'tdd-developer'],
+    description: 'Folded text\n',
+    notes: 'line one\nline two\n',
+    nested: { key: 'value' }
+  });
+});
+
+test('splits frontmatter from the body and passes files without it through', () => {
+  assert.deepEqual(parseFrontmatter('---\nname: x\n---\n# Body\n'), { data: { name: 'x' }, body: '# Body\n', hasFrontmatter: true });
+  assert.deepEqual(parseFrontmatter('# Body\n'), { data: {}, body: '# Body\n', hasFrontmatter: false });
+});
+
+test('parse errors name the file and line', () => {
+  assert.throws(() => parseFrontmatter('---\nname: x\n\tdescription: y\n---\n', { file: 'SKILL.md' }),
+    /^Error: SKILL\.md:3: Tabs are not allowed for indentation$/);
+});
+
+test('SKILL.md problems point at the offending key', () => {
+  const { problems } = readSkillFrontmatter('---\nname: Bad_Name\nrequires: core\n---\n', { file: 'SKILL.md' });
+
+  assert.deepEqual(problems.map(formatProblem), [
+    'SKILL.md:2: "name" must be lower-kebab-case, got "Bad_Name"',
+    'SKILL.md:1: Missing required "description"',
+    'SKILL.md:3: "requires" must be a list, got string'
+  ]);
+});
+
+test('a SKILL.md that does not parse is reported, not thrown', () => {
+  const { data, body, problems } = readSkillFrontmatter('---\nname: x\n  bad: indent\n---\n# Body\n', { file: 'SKILL.md' });
+
+  assert.deepEqual(data, {});
+  assert.equal(body, '# Body\n');
+  assert.equal(problems.length, 1);
+  assert.equal(problems[0].line, 3);
+});
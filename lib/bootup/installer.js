@@ -0,0 +1,847 @@
+/**
+ * Bootup Installer
+ *
+ * Programmatic API behind bootup.mjs, for tools that embed installation
+ * (project generators, tests) instead of spawning the CLI:
+ *
+ *   import { EventEmitter } from 'events';
+ *   import { install } from 'agentbootup';
+ *
+ *   const events = new EventEmitter();
+ *   events.on('action', (action) => console.log(action.type, action.rel));
+ *   const { actions } = install({ target: 'my-app', subset: ['skills', 'memory'] }, events);
+ *
+ * Every command returns a plain result object with the structured action
+ * list ({ type, rel, reason?, category, source, pack? }). Progress is emitted
+ * on the optional EventEmitter as it happens:
+ *   - 'start'   { command, target, dryRun, total }
+ *   - 'action'  one action object per file or fragment
+ *   - 'message' { text, verbose? } human-readable notes (profile recommendation,
+ *               rollback steps); verbose ones are detail the CLI only prints with --verbose
+ *
+ * Errors are thrown, never printed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  createManifest, readManifest, writeManifest, removeManifest, recordFile, recordFragment,
+  computeStatus, hashContent, hashFile, writeBase, readBase, removeBase, baseRel, MANIFEST_DIR, MANIFEST_FILE
+} from './manifest.js';
+import { createBackup, snapshot, finishBackup, listBackups, restoreBackup } from './backups.js';
+import { merge3, unifiedDiff } from './merge.js';
+import { resolveVariables, isRenderable, renderTemplate } from './render.js';
+import { listTemplateCatalog, createSelection } from './selection.js';
+import { resolveLayers, sourceFor } from './packs.js';
+import { ensureTasksDir, ensureDailyNote, pruneEmptyDirs, today } from './scaffold.js';
+import { diagnose, applyFixes } from './doctor.js';
+import { loadProfiles, getProfile, detectProject, recommendProfile } from './profiles.js';
+import { planWorkspaces } from './workspaces.js';
+import { readDependencyGraph, resolveDependencies } from './dependencies.js';
+import { readCatalog, searchCatalog } from './catalog.js';
+import { budgetReport, isContextFile, DEFAULT_MAX_TOKENS } from './budget.js';
+import {
+  fragmentTarget, fragmentKey, readBlock, upsertBlock, removeBlock, beginMarker, newInstructionsFile
+} from './fragments.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const packageRoot = path.join(__dirname, '..', '..');
+
+export const TEMPLATES_ROOT = path.join(packageRoot, 'templates');
+export const PACKAGE_VERSION = JSON.parse(fs.readFileSync(path.join(packageRoot, 'package.json'), 'utf-8')).version;
+
+export const CATEGORIES = ['agents','skills','commands','workflows','docs','scripts','gemini','codex','cursor','copilot','memory','automation','hooks'];
+
+// Categories that install each platform's assets; its fragment needs one of them
+const FRAGMENT_PLATFORM_CATEGORIES = {
+  '.claude': ['agents', 'skills', 'commands', 'hooks'],
+  '.gemini': ['gemini'],
+  '.codex': ['codex'],
+  '.github': ['copilot']
+};
+
+// Fragments come with the memory system, or alone via the `fragments` subset
+// (workspace packages that share the root's memory/)
+function wantsFragments(subset) {
+  return subset.includes('memory') || subset.includes('fragments');
+}
+
+// Only for the platforms the subset installs: no AGENTS.md or copilot-instructions.md for a Claude-only install
+function wantsFragment(subset, platformDir) {
+  return wantsFragments(subset) && (FRAGMENT_PLATFORM_CATEGORIES[platformDir] || []).some(c => subset.includes(c));
+}
+
+// Defaults for every option; subset null means "all" for install and "as last installed" for upgrade
+function normalizeOptions(command, options, events) {
+  const opts = {
+    command,
+    target: path.resolve(options.target || process.cwd()),
+    subset: options.subset ? [...options.subset] : null,
+    force: Boolean(options.force),
+    dryRun: Boolean(options.dryRun),
+    diff: Boolean(options.diff),
+    skills: options.skills || null,
+    agents: options.agents || null,
+    deps: options.deps !== false,
+    exclude: [...(options.exclude || [])],
+    packs: options.packs || [],
+    vars: options.vars || {},
+    answers: options.answers ? path.resolve(options.answers) : null,
+    profile: options.profile || null,
+    detect: Boolean(options.detect),
+    fix: Boolean(options.fix),
+    to: options.to || null,
+    maxTokens: options.maxTokens || DEFAULT_MAX_TOKENS,
+    events
+  };
+  if (opts.diff && !opts.dryRun) throw new Error('--diff only applies with --dry-run');
+  return opts;
+}
+
+function emit(opts, event, data) {
+  opts.events?.emit(event, data);
+}
+
+// Add an action to a run's list and report it
+function record(opts, actions, action) {
+  actions.push(action);
+  emit(opts, 'action', action);
+}
+
+export function relToCategory(relPath) {
+  if (/^\.[a-z]+\/fragments\//.test(relPath)) return 'fragments';
+  if (relPath.startsWith('.claude/agents/')) return 'agents';
+  if (relPath.startsWith('.claude/skills/')) return 'skills';
+  if (relPath.startsWith('.claude/commands/')) return 'commands';
+  if (relPath.startsWith('.claude/hooks/')) return 'hooks';
+  if (relPath.startsWith('.gemini/')) return 'gemini';
+  if (relPath.startsWith('.codex/')) return 'codex';
+  if (relPath.startsWith('.cursor/')) return 'cursor';
+  if (relPath.startsWith('.github/')) return 'copilot';
+  if (relPath.startsWith('.ai-skills/')) return 'cursor';
+  if (relPath === 'SKILLS_INDEX.md') return 'cursor';
+  if (relPath.startsWith('.windsurf/workflows/')) return 'workflows';
+  if (relPath.startsWith('ai-dev-tasks/')) return 'docs';
+  if (relPath.startsWith('tasks/')) return 'docs';
+  if (relPath.startsWith('docs/')) return 'docs';
+  if (relPath.startsWith('scripts/')) return 'scripts';
+  if (relPath.startsWith('memory/')) return 'memory';
+  if (relPath.startsWith('.ai/')) return 'memory';
+  if (relPath.startsWith('automation/')) return 'automation';
+  return 'other';
+}
+
+function listTemplateFiles(root) {
+  const files = [];
+  const walk = (dir) => {
+    const entries = fs.readdirSync(dir, { withFileTypes: true });
+    for (const e of entries) {
+      const full = path.join(dir, e.name);
+      if (e.isDirectory()) walk(full);
+      else files.push(full);
+    }
+  };
+  walk(root);
+  return files;
+}
+
+// Template files selected by subset, split into plain files and fragments.
+// Pack layers are applied in order, so a pack file replaces the built-in (or
+// earlier pack) file with the same path.
+function selectTemplates(opts, packSpecs = opts.packs) {
+  if (!fs.existsSync(TEMPLATES_ROOT)) throw new Error(`Templates directory not found: ${TEMPLATES_ROOT}`);
+
+  const layers = resolveLayers({ templatesRoot: TEMPLATES_ROOT, packageVersion: PACKAGE_VERSION, packSpecs, knownCategories: CATEGORIES });
+  const layered = new Map();
+
+  for (const layer of layers) {
+    for (const src of listTemplateFiles(layer.root)) {
+      const rel = path.relative(layer.root, src).replaceAll('\\', '/');
+      if (!layer.builtin && rel === 'pack.json') continue;
+
+      const category = relToCategory(rel);
+      // Packs only contribute the categories they declare; fragments belong to memory
+      if (layer.categories && !layer.categories.includes(category === 'fragments' ? 'memory' : category)) {
+        emit(opts, 'message', { text: `↷ skip (${layer.name} does not provide ${category}): ${rel}`, verbose: true });
+        continue;
+      }
+      layered.set(rel, { src, rel, category, layer });
+    }
+  }
+
+  const catalog = { skills: new Set(), agents: new Set() };
+  for (const layer of layers) {
+    const { skills, agents } = listTemplateCatalog(layer.root);
+    skills.forEach(n => catalog.skills.add(n));
+    agents.forEach(n => catalog.agents.add(n));
+  }
+  const selection = opts.command === 'doctor' ? { includes: () => true } : createSelection(withDependencies(opts, layers), catalog);
+
+  const files = [];
+  const fragments = [];
+
+  for (const file of [...layered.values()].sort((a, b) => a.rel.localeCompare(b.rel))) {
+    const { rel, category } = file;
+
+    // Skip skills/agents (and files derived from them) not picked by skills/agents/exclude
+    if (!selection.includes(rel)) continue;
+
+    // Skip fragments if neither memory nor fragments is selected
+    if (category === 'fragments' && !wantsFragments(opts.subset)) continue;
+    // Skip other categories if not selected
+    if (!opts.subset.includes(category) && category !== 'fragments') continue;
+
+    // Handle fragments specially - they become blocks in CLAUDE.md, GEMINI.md, AGENTS.md or copilot-instructions.md
+    if (category === 'fragments') fragments.push(file);
+    else files.push(file);
+  }
+
+  return { files, fragments, layers, catalog };
+}
+
+// Selected skills and agents plus everything they require, unless deps is off
+function withDependencies(opts, layers) {
+  if (!opts.deps || (!opts.skills && !opts.agents)) return opts;
+
+  const graph = readDependencyGraph(layers.map(l => l.root));
+  const { skills, agents, added } = resolveDependencies(graph, opts);
+  for (const { kind, name, requiredBy } of added) {
+    const excluded = opts.exclude.includes(name);
+    emit(opts, 'message', {
+      text: excluded
+        ? `⚠️  ${requiredBy} requires ${kind} ${name}, which is excluded`
+        : `+ ${kind} ${name} (required by ${requiredBy}; --no-deps to skip)`
+    });
+  }
+  return { ...opts, skills, agents };
+}
+
+// Packs as recorded in the manifest
+function packRecords(layers) {
+  return layers.filter(l => !l.builtin).map(({ name, version, spec }) => ({ name, version, spec }));
+}
+
+// Read templates, filling {{variables}} in markdown files and collecting unknown ones
+function createRenderer(opts, manifest) {
+  const variables = resolveVariables({
+    target: opts.target,
+    saved: manifest?.variables,
+    answersFile: opts.answers,
+    vars: opts.vars
+  });
+  const unknown = new Map();
+
+  const load = (src, rel) => {
+    const raw = fs.readFileSync(src);
+    if (!isRenderable(rel)) return raw;
+    const result = renderTemplate(raw.toString('utf-8'), variables);
+    for (const name of result.unknown) {
+      if (!unknown.has(name)) unknown.set(name, []);
+      unknown.get(name).push(rel);
+    }
+    return result.content;
+  };
+
+  return { variables, unknown, load };
+}
+
+// Category and template source of a file action
+function origin({ rel, category, layer }) {
+  return { category, source: sourceFor(layer, rel), ...(layer.builtin ? {} : { pack: layer.name }) };
+}
+
+// Attach a unified diff against the file on disk to a pending write (dry run with diff)
+function attachDiff(opts, action, rel, content) {
+  const dest = path.join(opts.target, rel);
+  if (!opts.diff || !fs.existsSync(dest)) return;
+  const diff = unifiedDiff(fs.readFileSync(dest, 'utf-8'), content.toString(), { oldLabel: `a/${rel}`, newLabel: `b/${rel}` });
+  if (diff) action.diff = diff;
+}
+
+// Record an installed file in the manifest and keep its template as the next merge base
+function trackInstalled(manifest, target, { rel, layer }, content, backup) {
+  recordFile(manifest, rel, {
+    source: sourceFor(layer, rel),
+    pack: layer.builtin ? undefined : layer.name,
+    version: layer.version,
+    hash: hashContent(content)
+  });
+  snapshot(backup, baseRel(rel));
+  writeBase(target, rel, content);
+}
+
+const DRY_RUN_FRAGMENT_TYPES = { appended: 'wouldAppend', created: 'wouldCreate', updated: 'wouldUpdate', migrated: 'wouldMigrate' };
+
+// Maintain marker-delimited fragment blocks in CLAUDE.md, GEMINI.md, AGENTS.md and copilot-instructions.md
+function installFragments(opts, fragmentsToAppend, manifest, renderer, backup) {
+  const actions = [];
+  if (!wantsFragments(opts.subset)) return actions;
+
+  for (const file of fragmentsToAppend) {
+    const { src, rel } = file;
+    const fragment = fragmentTarget(rel);
+    if (!fragment || !wantsFragment(opts.subset, fragment.platformDir)) continue;
+
+    const content = renderer.load(src, rel).toString();
+    const key = fragmentKey(fragment.targetRel, fragment.name);
+    const entry = manifest.fragments[key];
+    const targetFile = path.join(opts.target, fragment.targetRel);
+    const exists = fs.existsSync(targetFile);
+    const current = exists ? fs.readFileSync(targetFile, 'utf-8') : newInstructionsFile(opts.target);
+    const base = { rel: fragment.targetRel, fragment: fragment.name, ...origin(file) };
+
+    // Leave blocks edited by hand alone unless force
+    const block = readBlock(current, fragment.name);
+    if (block !== null && entry && hashContent(block.trim()) !== entry.hash && !opts.force) {
+      record(opts, actions, { type: 'skip', ...base, reason: 'locally modified' });
+      continue;
+    }
+
+    // Pre-marker installs appended the raw template; migrate it into a block when it is unchanged
+    const { text, action } = upsertBlock(current, fragment.name, content, { legacyContent: content });
+
+    if (action === 'unchanged' || action === 'legacy') {
+      const reason = action === 'legacy' ? 'edited fragment without markers; remove it and re-run' : 'up to date';
+      record(opts, actions, { type: 'skip', ...base, reason });
+      if (action === 'unchanged' && !entry && !opts.dryRun) {
+        recordFragment(manifest, key, { file: fragment.targetRel, name: fragment.name, source: `templates/${rel}`, content });
+      }
+      continue;
+    }
+
+    const type = action === 'inserted' ? (exists ? 'appended' : 'created') : action;
+    if (!opts.dryRun) {
+      snapshot(backup, fragment.targetRel);
+      // .github/copilot-instructions.md may be the first file in .github/
+      fs.mkdirSync(path.dirname(targetFile), { recursive: true });
+      fs.writeFileSync(targetFile, text);
+      recordFragment(manifest, key, {
+        file: fragment.targetRel,
+        name: fragment.name,
+        source: `templates/${rel}`,
+        content,
+        createdFile: !exists || entry?.createdFile
+      });
+    }
+    const fragmentAction = { type: opts.dryRun ? DRY_RUN_FRAGMENT_TYPES[type] : type, ...base };
+    if (opts.dryRun) attachDiff(opts, fragmentAction, fragment.targetRel, text);
+    record(opts, actions, fragmentAction);
+  }
+
+  return actions;
+}
+
+// Selection recorded by installs whose manifest predates `selection`: everything
+const ALL_SELECTED = { skills: null, agents: null, exclude: [], deps: true };
+
+// The skills/agents/exclude/deps choice to record. Like subset, a later install adds to
+// what an earlier one selected: names are unioned, null ("all") wins, and a name stays
+// excluded only if every install left it out.
+function combineSelection(previous, opts) {
+  const selection = { skills: opts.skills, agents: opts.agents, exclude: [...opts.exclude], deps: opts.deps };
+  if (!previous) return selection;
+
+  const union = (a, b) => (a && b ? [...new Set([...a, ...b])] : null);
+  return {
+    skills: union(previous.skills, selection.skills),
+    agents: union(previous.agents, selection.agents),
+    exclude: previous.exclude.filter(name => selection.exclude.includes(name)),
+    deps: previous.deps || selection.deps
+  };
+}
+
+// Fill subset and skill/agent selection from a profile or detection; explicit options win
+function applyProfile(opts) {
+  if (!opts.profile && !opts.detect) return null;
+
+  const profiles = loadProfiles(TEMPLATES_ROOT);
+  let name = opts.profile;
+  let subset = null;
+  let recommendation = null;
+
+  if (opts.detect) {
+    recommendation = recommendProfile(detectProject(opts.target), profiles);
+    const lines = [
+      `🔍 Recommended profile: ${recommendation.profile} (${getProfile(profiles, recommendation.profile).description})`,
+      ...recommendation.reasons.map(reason => `  - ${reason}`)
+    ];
+    if (opts.profile && opts.profile !== recommendation.profile) {
+      lines.push(`  Using --profile ${opts.profile} instead, as requested`);
+    } else {
+      name = recommendation.profile;
+      subset = recommendation.subset;
+    }
+    emit(opts, 'message', { text: lines.join('\n') });
+  }
+
+  const profile = getProfile(profiles, name);
+  if (!opts.subset) opts.subset = subset || [...profile.subset];
+  if (!opts.skills && profile.skills) opts.skills = [...profile.skills];
+  if (!opts.agents && profile.agents) opts.agents = [...profile.agents];
+  if (profile.exclude) opts.exclude.push(...profile.exclude);
+  opts.profileName = name;
+  return recommendation;
+}
+
+/**
+ * Copy templates into a project.
+ *
+ * @param {object} options
+ * @param {string} [options.target] - Project root (default: cwd)
+ * @param {string[]} [options.subset] - Categories to install (default: all, or the profile's)
+ * @param {boolean} [options.force] - Overwrite existing files (previous content is backed up)
+ * @param {boolean} [options.dryRun] - Report actions without writing
+ * @param {boolean} [options.diff] - With dryRun, attach unified diffs for existing files that would change
+ * @param {string[]} [options.skills] - Only these skills (and the files derived from them)
+ * @param {string[]} [options.agents] - Only these agents
+ * @param {string[]} [options.exclude] - Skip these skills or agents
+ * @param {boolean} [options.deps] - Add skills and agents the selected ones require (default: true)
+ * @param {string[]} [options.packs] - Template pack directories or tarballs, lowest precedence first
+ * @param {object} [options.vars] - Template variable values
+ * @param {string} [options.answers] - JSON file of template variable values
+ * @param {string} [options.profile] - Named profile from templates/profiles.json
+ * @param {boolean} [options.detect] - Recommend a profile from the project and use it
+ * @param {import('events').EventEmitter} [events] - Receives 'start', 'action' and 'message' events
+ * @returns {{ command, target, dryRun, packageVersion, subset, profile, recommendation, actions, backup, unknownVariables }}
+ */
+export function install(options = {}, events = null) {
+  const opts = normalizeOptions('install', options, events);
+  const recommendation = applyProfile(opts);
+  if (!opts.subset) opts.subset = [...CATEGORIES];
+
+  const { files, fragments: fragmentsToAppend, layers } = selectTemplates(opts);
+  const actions = [];
+  const previous = readManifest(opts.target);
+  const manifest = previous || createManifest(PACKAGE_VERSION);
+  const renderer = createRenderer(opts, manifest);
+  const backup = createBackup(opts.target, { command: 'install', dryRun: opts.dryRun });
+  manifest.packageVersion = PACKAGE_VERSION;
+  manifest.variables = renderer.variables;
+  if (opts.packs.length > 0) manifest.packs = packRecords(layers);
+  manifest.subset = [...new Set([...(manifest.subset || []), ...opts.subset])];
+  manifest.selection = combineSelection(previous && (previous.selection || ALL_SELECTED), opts);
+  if (opts.profileName) manifest.profile = opts.profileName;
+
+  emit(opts, 'start', { command: 'install', target: opts.target, dryRun: opts.dryRun, total: files.length + fragmentsToAppend.length });
+
+  for (const file of files) {
+    const { src, rel } = file;
+    const dest = path.join(opts.target, rel);
+    const exists = fs.existsSync(dest);
+    const content = renderer.load(src, rel);
+
+    if (exists && !opts.force) {
+      // Adopt untracked files that still match the template byte-for-byte
+      if (!manifest.files[rel] && !opts.dryRun && hashFile(dest) === hashContent(content)) {
+        trackInstalled(manifest, opts.target, file, content, backup);
+      }
+      record(opts, actions, { type: 'skip', rel, reason: 'exists', ...origin(file) });
+      continue;
+    }
+
+    if (!opts.dryRun) {
+      fs.mkdirSync(path.dirname(dest), { recursive: true });
+      snapshot(backup, rel);
+      fs.writeFileSync(dest, content);
+      trackInstalled(manifest, opts.target, file, content, backup);
+    }
+    const action = { type: opts.dryRun ? 'wouldWrite' : (exists ? 'overwritten' : 'written'), rel, ...origin(file) };
+    if (opts.dryRun) attachDiff(opts, action, rel, content);
+    record(opts, actions, action);
+  }
+
+  actions.push(...installFragments(opts, fragmentsToAppend, manifest, renderer, backup));
+
+  if (!opts.dryRun) {
+    snapshot(backup, MANIFEST_FILE);
+    writeManifest(opts.target, manifest);
+  }
+
+  // Ensure tasks/ exists
+  if (opts.subset.includes('docs')) {
+    snapshot(backup, 'tasks/.gitkeep');
+    ensureTasksDir(opts.target, opts);
+  }
+
+  // Ensure memory/daily/ exists with today's note for autonomous mode
+  if (opts.subset.includes('memory')) {
+    snapshot(backup, `memory/daily/${today()}.md`);
+    ensureDailyNote(opts.target, opts);
+  }
+
+  return {
+    command: 'install',
+    target: opts.target,
+    dryRun: opts.dryRun,
+    packageVersion: PACKAGE_VERSION,
+    subset: opts.subset,
+    profile: opts.profileName || null,
+    recommendation,
+    actions,
+    backup: finishBackup(backup),
+    unknownVariables: Object.fromEntries(renderer.unknown)
+  };
+}
+
+function requireManifest(target) {
+  const manifest = readManifest(target);
+  if (!manifest) {
+    throw new Error(`No install manifest found at ${path.join(target, MANIFEST_DIR)} (run bootup install first)`);
+  }
+  return manifest;
+}
+
+/**
+ * Classify every installed file as pristine, modified or missing, and every fragment block as present, modified or missing
+ *
+ * @returns {{ target, packageVersion, files: Array<{rel, source, status}>, fragments: Array<{rel, file, name, source, status}> }}
+ */
+export function status(options = {}) {
+  const opts = normalizeOptions('status', options, null);
+  const manifest = requireManifest(opts.target);
+  return { target: opts.target, packageVersion: manifest.packageVersion, ...computeStatus(opts.target, manifest) };
+}
+
+function removeFragment(target, entry) {
+  const file = path.join(target, entry.file);
+  const remaining = removeBlock(fs.readFileSync(file, 'utf-8'), entry.name);
+
+  if (entry.createdFile && remaining.trim() === newInstructionsFile(target).trim()) {
+    fs.rmSync(file);
+    pruneEmptyDirs(target, entry.file);
+    return 'deleted';
+  }
+  fs.writeFileSync(file, remaining);
+  return 'stripped';
+}
+
+/**
+ * Remove pristine installed files and fragment blocks; locally modified ones are kept
+ *
+ * @returns {{ command, target, dryRun, packageVersion, actions, backup }}
+ */
+export function uninstall(options = {}, events = null) {
+  const opts = normalizeOptions('uninstall', options, events);
+  const manifest = requireManifest(opts.target);
+  const { files, fragments } = computeStatus(opts.target, manifest);
+  const backup = createBackup(opts.target, { command: 'uninstall', dryRun: opts.dryRun });
+  const actions = [];
+
+  emit(opts, 'start', { command: 'uninstall', target: opts.target, dryRun: opts.dryRun, total: files.length + fragments.length });
+
+  for (const f of files) {
+    const meta = { category: relToCategory(f.rel), source: f.source, ...(manifest.files[f.rel].pack ? { pack: manifest.files[f.rel].pack } : {}) };
+    if (f.status === 'modified') {
+      record(opts, actions, { type: 'kept', rel: f.rel, reason: 'locally modified', ...meta });
+      continue;
+    }
+    if (f.status === 'pristine') {
+      if (!opts.dryRun) {
+        snapshot(backup, f.rel);
+        fs.rmSync(path.join(opts.target, f.rel));
+        pruneEmptyDirs(opts.target, f.rel);
+      }
+      record(opts, actions, { type: opts.dryRun ? 'wouldRemove' : 'removed', rel: f.rel, ...meta });
+    }
+    if (f.status === 'missing') record(opts, actions, { type: 'skip', rel: f.rel, reason: 'missing', ...meta });
+    if (!opts.dryRun) {
+      snapshot(backup, baseRel(f.rel));
+      removeBase(opts.target, f.rel);
+      delete manifest.files[f.rel];
+    }
+  }
+
+  for (const f of fragments) {
+    const meta = { rel: f.file, fragment: f.name, category: 'fragments', source: f.source };
+    if (f.status !== 'present') {
+      record(opts, actions, { type: 'kept', ...meta, reason: `fragment ${f.status}` });
+      if (f.status === 'missing' && !opts.dryRun) delete manifest.fragments[f.rel];
+      continue;
+    }
+    if (!opts.dryRun) {
+      snapshot(backup, f.file);
+      removeFragment(opts.target, manifest.fragments[f.rel]);
+      delete manifest.fragments[f.rel];
+    }
+    record(opts, actions, { type: opts.dryRun ? 'wouldRemove' : 'removed', ...meta });
+  }
+
+  if (!opts.dryRun) {
+    snapshot(backup, MANIFEST_FILE);
+    // Keep tracking locally modified files so a later status/uninstall still sees them
+    if (Object.keys(manifest.files).length === 0 && Object.keys(manifest.fragments).length === 0) {
+      removeManifest(opts.target);
+    } else {
+      writeManifest(opts.target, manifest);
+    }
+  }
+
+  return {
+    command: 'uninstall',
+    target: opts.target,
+    dryRun: opts.dryRun,
+    packageVersion: PACKAGE_VERSION,
+    actions,
+    backup: finishBackup(backup)
+  };
+}
+
+const DRY_RUN_UPGRADE_TYPES = { written: 'wouldWrite', updated: 'wouldUpdate', merged: 'wouldMerge', conflict: 'wouldConflict' };
+
+// Decide how one installed file moves to the current template
+function planUpgrade(opts, manifest, rel, template) {
+  const dest = path.join(opts.target, rel);
+  const entry = manifest.files[rel];
+  const templateHash = hashContent(template);
+
+  if (!fs.existsSync(dest)) {
+    if (entry) return { type: 'skip', reason: 'removed locally' };
+    return { type: 'written', content: template };
+  }
+
+  const local = fs.readFileSync(dest, 'utf-8');
+  const localHash = hashContent(local);
+
+  if (localHash === templateHash) return { type: 'unchanged', track: true };
+  if (!entry) return { type: 'skip', reason: 'untracked' };
+  if (localHash === entry.hash) return { type: 'updated', content: template };
+
+  const base = readBase(opts.target, rel);
+  if (base === null) return { type: 'skip', reason: 'no merge base' };
+  if (hashContent(base) === templateHash) return { type: 'kept', reason: 'local edits, template unchanged' };
+
+  const { content, conflicts } = merge3(base, local, template, {
+    ours: `local ${rel}`,
+    theirs: `agentbootup ${PACKAGE_VERSION}`
+  });
+  return conflicts > 0
+    ? { type: 'conflict', content, conflicts }
+    : { type: 'merged', content };
+}
+
+/**
+ * Bring an install up to the current templates, three-way merging local edits.
+ * Re-applies the categories, packs and skill/agent selection from the last install
+ * unless new ones are given.
+ *
+ * @returns {{ command, target, dryRun, packageVersion, previousVersion, actions, backup, unknownVariables }}
+ */
+export function upgrade(options = {}, events = null) {
+  const opts = normalizeOptions('upgrade', options, events);
+  const manifest = requireManifest(opts.target);
+  const previousVersion = manifest.packageVersion;
+  if (!opts.subset) opts.subset = manifest.subset || [...CATEGORIES];
+  if (!opts.skills && !opts.agents && opts.exclude.length === 0 && manifest.selection) {
+    const { skills, agents, exclude, deps } = manifest.selection;
+    Object.assign(opts, { skills, agents, exclude: [...exclude], deps });
+  }
+  const packSpecs = opts.packs.length > 0 ? opts.packs : (manifest.packs || []).map(p => p.spec);
+  const { files, fragments, layers } = selectTemplates(opts, packSpecs);
+  const renderer = createRenderer(opts, manifest);
+  const backup = createBackup(opts.target, { command: 'upgrade', dryRun: opts.dryRun });
+  const actions = [];
+
+  emit(opts, 'start', { command: 'upgrade', target: opts.target, dryRun: opts.dryRun, total: files.length + fragments.length });
+
+  for (const file of files) {
+    const { src, rel } = file;
+    const template = renderer.load(src, rel).toString();
+    const plan = planUpgrade(opts, manifest, rel, template);
+    const action = { type: plan.type, rel, ...origin(file) };
+    if (plan.reason) action.reason = plan.reason;
+    if (plan.conflicts) action.conflicts = plan.conflicts;
+
+    if (plan.content !== undefined) {
+      if (opts.dryRun) {
+        action.type = DRY_RUN_UPGRADE_TYPES[plan.type];
+        attachDiff(opts, action, rel, plan.content);
+      } else {
+        const dest = path.join(opts.target, rel);
+        fs.mkdirSync(path.dirname(dest), { recursive: true });
+        snapshot(backup, rel);
+        fs.writeFileSync(dest, plan.content);
+      }
+    }
+    // The new template becomes the merge base once the file has been brought up to date
+    if (!opts.dryRun && (plan.content !== undefined || plan.track)) {
+      trackInstalled(manifest, opts.target, file, template, backup);
+    }
+
+    record(opts, actions, action);
+  }
+
+  actions.push(...installFragments(opts, fragments, manifest, renderer, backup));
+
+  if (!opts.dryRun) {
+    manifest.packageVersion = PACKAGE_VERSION;
+    manifest.variables = renderer.variables;
+    manifest.packs = packRecords(layers);
+    manifest.selection = combineSelection(null, opts);
+    snapshot(backup, MANIFEST_FILE);
+    writeManifest(opts.target, manifest);
+  }
+
+  return {
+    command: 'upgrade',
+    target: opts.target,
+    dryRun: opts.dryRun,
+    packageVersion: PACKAGE_VERSION,
+    previousVersion,
+    actions,
+    backup: finishBackup(backup),
+    unknownVariables: Object.fromEntries(renderer.unknown)
+  };
+}
+
+/**
+ * Check an installed project; with fix, apply the safe fixes first
+ *
+ * @returns {{ target, findings: object[], fixed: object[], backup }}
+ */
+export function doctor(options = {}, events = null) {
+  const opts = normalizeOptions('doctor', options, events);
+  const manifest = readManifest(opts.target);
+  const packSpecs = opts.packs.length > 0 ? opts.packs : (manifest?.packs || []).map(p => p.spec);
+  const { fragments, catalog } = selectTemplates({ ...opts, subset: CATEGORIES }, packSpecs);
+
+  const backup = createBackup(opts.target, { command: 'doctor', dryRun: opts.dryRun || !opts.fix });
+  const fixers = {
+    fragment(targetRel) {
+      const fixManifest = readManifest(opts.target) || createManifest(PACKAGE_VERSION);
+      const renderer = createRenderer(opts, fixManifest);
+      const matching = fragments.filter(f => fragmentTarget(f.rel)?.targetRel === targetRel);
+      installFragments({ ...opts, subset: ['memory', ...CATEGORIES], dryRun: false }, matching, fixManifest, renderer, backup);
+      snapshot(backup, MANIFEST_FILE);
+      writeManifest(opts.target, fixManifest);
+    }
+  };
+
+  const expected = fragments
+    .map(f => fragmentTarget(f.rel))
+    .filter(Boolean)
+    .map(f => ({ ...f, marker: beginMarker(f.name) }));
+
+  let findings = diagnose(opts.target, { catalog, fragments: expected, fixers, backup });
+  let fixed = [];
+
+  if (opts.fix && !opts.dryRun) {
+    fixed = applyFixes(findings);
+    if (fixed.length > 0) findings = diagnose(opts.target, { catalog, fragments: expected, fixers });
+  }
+
+  return { target: opts.target, findings, fixed, backup: finishBackup(backup) };
+}
+
+/**
+ * Undo the latest run, or with `to` every run from that backup onwards (newest first)
+ *
+ * @returns {{ command, target, dryRun, packageVersion, actions, undone: string[] }}
+ */
+export function rollback(options = {}, events = null) {
+  const opts = normalizeOptions('rollback', options, events);
+  const backups = listBackups(opts.target);
+  if (backups.length === 0) throw new Error(`No backups found in ${path.join(opts.target, MANIFEST_DIR, 'backups')}`);
+
+  let from = backups.length - 1;
+  if (opts.to) {
+    from = backups.findIndex(b => b.id === opts.to);
+    if (from === -1) {
+      throw new Error(`No backup ${opts.to}\nAvailable backups:\n${backups.map(b => `  ${b.id} (${b.command})`).join('\n')}`);
+    }
+  }
+
+  const actions = [];
+  const undone = [];
+  for (const backupRecord of backups.slice(from).reverse()) {
+    const restored = restoreBackup(opts.target, backupRecord, { dryRun: opts.dryRun });
+    emit(opts, 'message', {
+      text: `${opts.dryRun ? 'Would undo' : 'Undid'} ${backupRecord.command} from ${backupRecord.id} (${restored.length} file${restored.length === 1 ? '' : 's'})`
+    });
+    for (const action of restored) record(opts, actions, action);
+    undone.push(backupRecord.id);
+  }
+
+  return { command: 'rollback', target: opts.target, dryRun: opts.dryRun, packageVersion: PACKAGE_VERSION, actions, undone };
+}
+
+// Selection options the caller set explicitly
+function explicitSelection(options) {
+  const selection = {};
+  for (const key of ['subset', 'profile', 'skills', 'agents']) {
+    if (options[key]) selection[key] = options[key];
+  }
+  if (options.exclude?.length) selection.exclude = options.exclude;
+  if (options.detect) selection.detect = true;
+  return selection;
+}
+
+/**
+ * Install into a monorepo: the root, then each workspace package, with the
+ * selections from agentbootup.workspaces.json. Explicit selection options
+ * (subset, profile, skills, agents, exclude, detect) apply to the root only.
+ *
+ * @returns {{ command, target, dryRun, packageVersion, workspaces: Array<object> }} One install result per workspace, with its `workspace` path
+ */
+export function installWorkspaces(options = {}, events = null) {
+  const root = path.resolve(options.target || process.cwd());
+  const workspaces = [];
+
+  for (const workspace of planWorkspaces(root)) {
+    const selection = workspace.rel === '.' ? { ...workspace.selection, ...explicitSelection(options) } : workspace.selection;
+    events?.emit('message', { text: `\n📦 ${workspace.rel === '.' ? '(root)' : workspace.rel}` });
+    const result = install({
+      ...options,
+      subset: null, profile: null, skills: null, agents: null, exclude: [], detect: false,
+      ...selection,
+      target: workspace.target
+    }, events);
+    workspaces.push({ workspace: workspace.rel, ...result });
+  }
+
+  return { command: 'install', target: root, dryRun: Boolean(options.dryRun), packageVersion: PACKAGE_VERSION, workspaces };
+}
+
+/**
+ * Workspace targets (root first) that bootup has installed into or backed up
+ */
+export function installedWorkspaces(options = {}) {
+  const root = path.resolve(options.target || process.cwd());
+  return planWorkspaces(root)
+    .filter(w => fs.existsSync(path.join(w.target, MANIFEST_DIR)))
+    .map(({ rel, target }) => ({ rel, target }));
+}
+
+/**
+ * Estimate the context tokens of the agent assets installed in a project: every
+ * installed markdown file, plus the fragment blocks loaded in every session
+ *
+ * @returns {{ target, maxTokens, total, files, over, byCategory, byPlatform, fragments, fragmentTokens }}
+ */
+export function budget(options = {}) {
+  const opts = normalizeOptions('budget', options, null);
+  const manifest = requireManifest(opts.target);
+
+  const files = Object.keys(manifest.files)
+    .filter(rel => isContextFile(rel) && fs.existsSync(path.join(opts.target, rel)))
+    .map(rel => ({ rel, category: relToCategory(rel), text: fs.readFileSync(path.join(opts.target, rel), 'utf-8') }));
+
+  const fragments = [];
+  for (const entry of Object.values(manifest.fragments)) {
+    const file = path.join(opts.target, entry.file);
+    const block = fs.existsSync(file) ? readBlock(fs.readFileSync(file, 'utf-8'), entry.name) : null;
+    if (block !== null) fragments.push({ source: entry.source, file: entry.file, text: block });
+  }
+
+  return { target: opts.target, ...budgetReport(files, fragments, { maxTokens: opts.maxTokens }) };
+}
+
+/**
+ * Skills in the catalog shipped with the templates, filtered by term when given
+ *
+ * @returns {{ platforms: string[], skills: object[] }}
+ */
+export function listSkills(options = {}) {
+  const catalog = readCatalog(TEMPLATES_ROOT);
+  return { platforms: catalog.platforms, skills: options.term ? searchCatalog(catalog, options.term) : catalog.skills };
+}
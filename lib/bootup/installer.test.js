@@ -0,0 +1,186 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { install, upgrade, status, uninstall, rollback } from './installer.js';
+import { readManifest, writeManifest, writeBase, hashContent, MANIFEST_FILE } from './manifest.js';
+import { tempProject, exists, read } from '../test-helpers.js';
+
+const types = (actions, type) => actions.filter(a => a.type === type).map(a => a.rel);
+
+const PRD = 'ai-dev-tasks/create-prd.md';
+const TASKS = 'ai-dev-tasks/generate-tasks.md';
+
+// Pretend the install came from an older template, then edited locally
+function installedFrom(target, rel, oldTemplate, local) {
+  writeBase(target, rel, oldTemplate);
+  const manifest = readManifest(target);
+  manifest.files[rel].hash = hashContent(oldTemplate);
+  writeManifest(target, manifest);
+  fs.writeFileSync(path.join(target, rel), local);
+}
+
+test('install writes the templates, records them and skips them on a second run', (t) => {
+  const target = tempProject(t);
+  const first = install({ target, subset: ['docs'] });
+
+  assert.equal(first.command, 'install');
+  assert.deepEqual(first.subset, ['docs']);
+  assert.ok(types(first.actions, 'written').includes(PRD));
+  assert.ok(first.backup);
+  assert.ok(exists(target, 'tasks/.gitkeep'));
+  const manifest = readManifest(target);
+  assert.deepEqual(manifest.subset, ['docs']);
+  assert.equal(manifest.files[PRD].hash, hashContent(read(target, PRD)));
+
+  const second = install({ target, subset: ['docs'] });
+  assert.deepEqual(types(second.actions, 'written'), []);
+  assert.ok(second.actions.filter(a => a.rel === PRD).every(a => a.type === 'skip' && a.reason === 'exists'));
+});
+
+test('a dry run reports what it would write and changes nothing', (t) => {
+  const target = tempProject(t);
+  const { actions, backup } = install({ target, subset: ['docs'], dryRun: true });
+
+  assert.ok(types(actions, 'wouldWrite').includes(PRD));
+  assert.equal(backup, null);
+  assert.deepEqual(fs.readdirSync(target), []);
+});
+
+test('status classifies installed files and uninstall keeps the modified ones', (t) => {
+  const target = tempProject(t);
+  install({ target, subset: ['docs'] });
+  fs.appendFileSync(path.join(target, PRD), '\nLocal note\n');
+  fs.rmSync(path.join(target, TASKS));
+
+  const files = Object.fromEntries(status({ target }).files.map(f => [f.rel, f.status]));
+  assert.equal(files[PRD], 'modified');
+  assert.equal(files[TASKS], 'missing');
+  assert.equal(files['ai-dev-tasks/prd-writer.md'], 'pristine');
+
+  const { actions } = uninstall({ target });
+  assert.deepEqual(types(actions, 'kept'), [PRD]);
+  assert.ok(types(actions, 'removed').includes('ai-dev-tasks/prd-writer.md'));
+  assert.ok(!exists(target, 'ai-dev-tasks/prd-writer.md'));
+  assert.match(read(target, PRD), /Local note/);
+  // The modified file stays tracked
+  assert.deepEqual(Object.keys(readManifest(target).files), [PRD]);
+});
+
+test('status and uninstall need an install manifest', (t) => {
+  const target = tempProject(t);
+  assert.throws(() => status({ target }), /No install manifest found/);
+  assert.throws(() => uninstall({ target }), /No install manifest found/);
+});
+
+test('upgrade merges template changes into local edits', (t) => {
+  const target = tempProject(t);
+  install({ target, subset: ['docs'] });
+  const template = read(target, PRD);
+  const old = template.replace('## Process', '## Steps');
+  installedFrom(target, PRD, old, `${old}\n## Local notes\nKeep it short.\n`);
+
+  const { actions } = upgrade({ target });
+
+  assert.deepEqual(types(actions, 'merged'), [PRD]);
+  assert.equal(read(target, PRD), `${template}\n## Local notes\nKeep it short.\n`);
+  // The new template is the base for the next upgrade
+  assert.equal(readManifest(target).files[PRD].hash, hashContent(template));
+});
+
+test('upgrade writes conflict markers when local edits and the template change the same lines', (t) => {
+  const target = tempProject(t);
+  install({ target, subset: ['docs'] });
+  const old = read(target, PRD).replace('## Process', '## Steps');
+  installedFrom(target, PRD, old, old.replace('## Steps', '## Our steps'));
+
+  const { actions } = upgrade({ target });
+
+  const action = actions.find(a => a.rel === PRD);
+  assert.equal(action.type, 'conflict');
+  assert.equal(action.conflicts, 1);
+  assert.match(read(target, PRD), /^<<<<<<< local ai-dev-tasks\/create-prd\.md\n## Our steps\n=======\n## Process\n>>>>>>> agentbootup /m);
+});
+
+test('upgrade keeps local edits when the template has not changed', (t) => {
+  const target = tempProject(t);
+  install({ target, subset: ['docs'] });
+  const template = read(target, PRD);
+  installedFrom(target, PRD, template, `${template}Local note\n`);
+
+  const { actions } = upgrade({ target });
+
+  assert.equal(actions.find(a => a.rel === PRD).type, 'kept');
+  assert.equal(read(target, PRD), `${template}Local note\n`);
+});
+
+test('rollback undoes the latest run, then the one before it', (t) => {
+  const target = tempProject(t);
+  install({ target, subset: ['docs'] });
+  fs.writeFileSync(path.join(target, PRD), 'Local version\n');
+  install({ target, subset: ['docs'], force: true });
+  assert.notEqual(read(target, PRD), 'Local version\n');
+
+  const latest = rollback({ target });
+  assert.equal(latest.undone.length, 1);
+  assert.ok(types(latest.actions, 'restored').includes(PRD));
+  assert.equal(read(target, PRD), 'Local version\n');
+
+  rollback({ target });
+  assert.ok(!exists(target, PRD));
+  assert.ok(!exists(target, MANIFEST_FILE));
+  assert.throws(() => rollback({ target }), /No backups found/);
+});
+
+test('upgrade re-applies the --skills/--agents selection saved by install', (t) => {
+  const target = tempProject(t);
+  install({ target, subset: ['gemini'], skills: ['prd-writer'], agents: ['spec-writer'] });
+
+  assert.deepEqual(readManifest(target).selection, { skills: ['prd-writer'], agents: ['spec-writer'], exclude: [], deps: true });
+  assert.ok(exists(target, '.gemini/skills/prd-writer/SKILL.md'));
+  assert.ok(!exists(target, '.gemini/skills/task-processor/SKILL.md'));
+
+  const { actions } = upgrade({ target, dryRun: true });
+  assert.deepEqual(types(actions, 'wouldWrite'), []);
+  assert.ok(actions.every(a => !a.rel.startsWith('.gemini/skills/') || a.rel.startsWith('.gemini/skills/prd-writer/')));
+});
+
+test('upgrade flags replace the saved selection', (t) => {
+  const target = tempProject(t);
+  install({ target, subset: ['gemini'], skills: ['prd-writer'], agents: ['spec-writer'] });
+
+  const { actions } = upgrade({ target, skills: ['prd-writer', 'tasklist-generator'], agents: ['spec-writer'] });
+  assert.ok(types(actions, 'written').includes('.gemini/skills/tasklist-generator/SKILL.md'));
+  assert.deepEqual(readManifest(target).selection.skills, ['prd-writer', 'tasklist-generator']);
+});
+
+test('a second install adds to the saved selection and keeps exclusions both runs made', (t) => {
+  const target = tempProject(t);
+  install({ target, subset: ['gemini'], skills: ['prd-writer'], exclude: ['coach'] });
+  install({ target, subset: ['gemini'], skills: ['tasklist-generator'], exclude: ['coach', 'spec-writer'] });
+
+  const { selection } = readManifest(target);
+  assert.deepEqual(selection.skills, ['prd-writer', 'tasklist-generator']);
+  assert.equal(selection.agents, null);
+  assert.deepEqual(selection.exclude, ['coach']);
+});
+
+test('fragments are only installed for the platforms in the subset', (t) => {
+  const target = tempProject(t);
+  install({ target, subset: ['codex', 'memory'] });
+
+  assert.ok(exists(target, 'AGENTS.md'));
+  assert.ok(!exists(target, 'GEMINI.md'));
+  assert.ok(!exists(target, '.github'));
+});
+
+test('a Claude install with memory writes no Codex, Gemini or Copilot instructions', (t) => {
+  for (const subset of [['agents', 'skills', 'commands', 'memory'], ['commands', 'docs', 'fragments']]) {
+    const target = tempProject(t);
+    install({ target, subset });
+
+    assert.ok(!exists(target, 'AGENTS.md'), subset.join());
+    assert.ok(!exists(target, 'GEMINI.md'), subset.join());
+    assert.ok(!exists(target, '.github'), subset.join());
+  }
+});
@@ -0,0 +1,191 @@
+/**
+ * Install Manifest
+ *
+ * Records every file bootup installs into a project so later runs can tell
+ * agentbootup-owned files apart from hand-written ones.
+ * Stored at .agentbootup/manifest.json in the target project, with a copy of
+ * each installed template under .agentbootup/base/ to serve as the merge base
+ * for `bootup upgrade`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { readBlock } from './fragments.js';
+
+export const MANIFEST_DIR = '.agentbootup';
+export const MANIFEST_SCHEMA = 1;
+export const MANIFEST_FILE = `${MANIFEST_DIR}/manifest.json`;
+
+/**
+ * Hash file content (string or Buffer)
+ */
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Hash a file on disk, or null if it does not exist
+ */
+export function hashFile(filePath) {
+  try {
+    return hashContent(fs.readFileSync(filePath));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+export function manifestPath(target) {
+  return path.join(target, MANIFEST_FILE);
+}
+
+/**
+ * Create an empty manifest
+ */
+export function createManifest(packageVersion) {
+  return {
+    schema: MANIFEST_SCHEMA,
+    packageVersion,
+    installedAt: null,
+    updatedAt: null,
+    packs: [],
+    // --skills/--agents/--exclude/--no-deps as installed; upgrade re-applies them
+    selection: null,
+    files: {},
+    fragments: {}
+  };
+}
+
+/**
+ * Read the manifest for a target project, or null if none exists
+ */
+export function readManifest(target) {
+  const file = manifestPath(target);
+  if (!fs.existsSync(file)) return null;
+
+  const manifest = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (manifest.schema !== MANIFEST_SCHEMA) {
+    throw new Error(`Unsupported manifest schema ${manifest.schema} in ${file}`);
+  }
+  manifest.packs = manifest.packs || [];
+  manifest.files = manifest.files || {};
+  manifest.fragments = manifest.fragments || {};
+  return manifest;
+}
+
+/**
+ * Write the manifest, stamping install/update times
+ */
+export function writeManifest(target, manifest) {
+  const file = manifestPath(target);
+  const now = new Date().toISOString();
+  manifest.installedAt = manifest.installedAt || now;
+  manifest.updatedAt = now;
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + '\n');
+}
+
+/**
+ * Remove the manifest and merge bases (and the directory when nothing else lives there)
+ */
+export function removeManifest(target) {
+  const file = manifestPath(target);
+  if (fs.existsSync(file)) fs.rmSync(file);
+  fs.rmSync(path.join(target, MANIFEST_DIR, 'base'), { recursive: true, force: true });
+
+  const dir = path.dirname(file);
+  if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0) fs.rmdirSync(dir);
+}
+
+/**
+ * Record an installed file
+ */
+export function recordFile(manifest, rel, { source, pack, hash, version }) {
+  manifest.files[rel] = pack ? { source, pack, version, hash } : { source, version, hash };
+}
+
+/**
+ * Path of a file's merge base, relative to the target
+ */
+export function baseRel(rel) {
+  return `${MANIFEST_DIR}/base/${rel}`;
+}
+
+function basePath(target, rel) {
+  return path.join(target, baseRel(rel));
+}
+
+/**
+ * Store the template content a file was installed from (the next upgrade's merge base)
+ */
+export function writeBase(target, rel, content) {
+  const file = basePath(target, rel);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+/**
+ * Read the stored merge base for a file, or null if none was recorded
+ */
+export function readBase(target, rel) {
+  try {
+    return fs.readFileSync(basePath(target, rel), 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+export function removeBase(target, rel) {
+  fs.rmSync(basePath(target, rel), { force: true });
+}
+
+/**
+ * Record a marker-delimited fragment block in an instructions file (CLAUDE.md, GEMINI.md, AGENTS.md)
+ */
+export function recordFragment(manifest, key, { file, name, source, content, createdFile }) {
+  manifest.fragments[key] = {
+    file,
+    name,
+    source,
+    hash: hashContent(content.trim()),
+    createdFile: Boolean(createdFile)
+  };
+}
+
+/**
+ * Classify one installed file: pristine, modified or missing
+ */
+export function fileStatus(target, rel, entry) {
+  const hash = hashFile(path.join(target, rel));
+  if (hash === null) return 'missing';
+  return hash === entry.hash ? 'pristine' : 'modified';
+}
+
+/**
+ * Classify one fragment block: present, modified (edited between the markers) or missing
+ */
+export function fragmentStatus(target, entry) {
+  const file = path.join(target, entry.file);
+  if (!fs.existsSync(file)) return 'missing';
+  const block = readBlock(fs.readFileSync(file, 'utf-8'), entry.name);
+  if (block === null) return 'missing';
+  return hashContent(block.trim()) === entry.hash ? 'present' : 'modified';
+}
+
+/**
+ * Status of every file and fragment recorded in the manifest
+ */
+export function computeStatus(target, manifest) {
+  const files = Object.entries(manifest.files)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([rel, entry]) => ({ rel, source: entry.source, status: fileStatus(target, rel, entry) }));
+
+  const fragments = Object.entries(manifest.fragments)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([rel, entry]) => ({ rel, file: entry.file, name: entry.name, source: entry.source, status: fragmentStatus(target, entry) }));
+
+  return { files, fragments };
+}
@@ -0,0 +1,190 @@
+/**
+ * Line-level diff and three-way merge
+ *
+ * Used by `bootup upgrade` to carry local edits forward onto new template
+ * versions, with the template from the previous install as the merge base,
+ * by `--dry-run --diff` to preview changes as unified diffs, and by memory
+ * sync (lib/sync/three-way.js) to combine edits made on two machines.
+ */
+
+/**
+ * Split text into lines so that join('\n') round-trips exactly
+ */
+export function splitLines(text) {
+  return text.split('\n');
+}
+
+/**
+ * Longest common subsequence of two line arrays.
+ * Returns matched index pairs [[i, j], ...] in increasing order.
+ */
+export function lcsPairs(a, b) {
+  // Trim the common prefix/suffix first; templates usually change in a few places
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  const width = m + 1;
+  const table = new Uint32Array((n + 1) * width);
+
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i * width + j] = a[start + i] === b[start + j]
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+
+  const pairs = [];
+  for (let i = 0; i < start; i++) pairs.push([i, i]);
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[start + i] === b[start + j]) {
+      pairs.push([start + i, start + j]);
+      i++;
+      j++;
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  for (let k = 0; k < a.length - endA; k++) pairs.push([endA + k, endB + k]);
+  return pairs;
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+/**
+ * Three-way merge of line arrays.
+ *
+ * Returns { lines, conflicts } where conflicts is the number of conflict
+ * blocks written with git-style markers.
+ *
+ * @param {object} [options]
+ * @param {string} [options.ours] - Conflict marker label for ours
+ * @param {string} [options.theirs] - Conflict marker label for theirs
+ * @param {Function} [options.resolve] - (baseChunk, oursChunk, theirsChunk) => lines or null;
+ *   a chance to combine a chunk both sides changed before it becomes a conflict
+ */
+export function merge3Lines(base, ours, theirs, options = {}) {
+  const oursLabel = options.ours || 'local';
+  const theirsLabel = options.theirs || 'template';
+
+  const matchOurs = new Map(lcsPairs(base, ours));
+  const matchTheirs = new Map(lcsPairs(base, theirs));
+
+  const lines = [];
+  let conflicts = 0;
+
+  const resolveChunk = (baseChunk, oursChunk, theirsChunk) => {
+    if (sameLines(oursChunk, baseChunk)) lines.push(...theirsChunk);
+    else if (sameLines(theirsChunk, baseChunk)) lines.push(...oursChunk);
+    else if (sameLines(oursChunk, theirsChunk)) lines.push(...oursChunk);
+    else {
+      const resolved = options.resolve?.(baseChunk, oursChunk, theirsChunk);
+      if (resolved) {
+        lines.push(...resolved);
+        return;
+      }
+      conflicts++;
+      lines.push(`<<<<<<< ${oursLabel}`, ...oursChunk, '=======', ...theirsChunk, `>>>>>>> ${theirsLabel}`);
+    }
+  };
+
+  let i = 0;
+  let a = 0;
+  let b = 0;
+
+  while (true) {
+    // Next base line that both sides kept
+    let j = i;
+    while (j < base.length && !(matchOurs.has(j) && matchTheirs.has(j))) j++;
+
+    if (j === base.length) {
+      resolveChunk(base.slice(i), ours.slice(a), theirs.slice(b));
+      break;
+    }
+
+    const nextA = matchOurs.get(j);
+    const nextB = matchTheirs.get(j);
+
+    if (j === i && nextA === a && nextB === b) {
+      lines.push(base[j]);
+      i++;
+      a++;
+      b++;
+      continue;
+    }
+
+    resolveChunk(base.slice(i, j), ours.slice(a, nextA), theirs.slice(b, nextB));
+    i = j;
+    a = nextA;
+    b = nextB;
+  }
+
+  return { lines, conflicts };
+}
+
+/**
+ * Three-way merge of text content
+ */
+export function merge3(base, ours, theirs, options) {
+  const { lines, conflicts } = merge3Lines(splitLines(base), splitLines(ours), splitLines(theirs), options);
+  return { content: lines.join('\n'), conflicts };
+}
+
+/**
+ * Unified diff (diff -u style) between two texts; empty string when equal
+ */
+export function unifiedDiff(oldText, newText, { oldLabel = 'a', newLabel = 'b', context = 3 } = {}) {
+  if (oldText === newText) return '';
+  // Compare whole lines; the empty string after a trailing newline is not a line
+  const toLines = (text) => (text === '' ? [] : splitLines(text.endsWith('\n') ? text.slice(0, -1) : text));
+  const a = toLines(oldText);
+  const b = toLines(newText);
+
+  // Edit script with the old/new line index each op starts at
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  for (const [pi, pj] of [...lcsPairs(a, b), [a.length, b.length]]) {
+    while (i < pi) ops.push({ sign: '-', line: a[i], i: i++, j });
+    while (j < pj) ops.push({ sign: '+', line: b[j], i, j: j++ });
+    if (pi < a.length) ops.push({ sign: ' ', line: a[i], i: i++, j: j++ });
+  }
+
+  const changed = ops.map((op, k) => (op.sign === ' ' ? -1 : k)).filter(k => k >= 0);
+  const hunks = [];
+  for (const k of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && k - last.end <= context * 2) last.end = k;
+    else hunks.push({ start: k, end: k });
+  }
+
+  if (hunks.length === 0) return '';
+
+  const out = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  for (const hunk of hunks) {
+    const slice = ops.slice(Math.max(0, hunk.start - context), Math.min(ops.length, hunk.end + context + 1));
+    const oldCount = slice.filter(op => op.sign !== '+').length;
+    const newCount = slice.filter(op => op.sign !== '-').length;
+    const oldStart = oldCount === 0 ? slice[0].i : slice[0].i + 1;
+    const newStart = newCount === 0 ? slice[0].j : slice[0].j + 1;
+    out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const op of slice) out.push(`${op.sign}${op.line}`);
+  }
+  return `${out.join('\n')}\n`;
+}
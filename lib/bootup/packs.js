@@ -0,0 +1,121 @@
+/**
+ * Template Packs
+ *
+ * External template packs let teams ship their own skills and agents through
+ * the same installer. A pack is a local directory or tarball with a pack.json:
+ *
+ *   {
+ *     "name": "acme-skills",
+ *     "version": "1.2.0",
+ *     "categories": ["skills", "agents", "commands"],
+ *     "templates": "templates"      // optional, defaults to the pack root
+ *   }
+ *
+ * Pack files are laid over the built-in templates. Later packs win over
+ * earlier packs, and every pack wins over the built-in templates.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+const TARBALL_PATTERN = /\.(?:tgz|tar\.gz|tar)$/;
+
+const extractedDirs = [];
+
+function cleanupExtracted() {
+  for (const dir of extractedDirs.splice(0)) fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Extract a local tarball to a temp dir (removed when the process exits)
+ */
+function extractTarball(file) {
+  if (extractedDirs.length === 0) process.once('exit', cleanupExtracted);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentbootup-pack-'));
+  extractedDirs.push(dir);
+  const flags = file.endsWith('.tar') ? '-xf' : '-xzf';
+  execFileSync('tar', [flags, file, '-C', dir], { stdio: ['ignore', 'ignore', 'pipe'] });
+
+  // npm pack and GitHub archives wrap everything in a single top-level folder
+  if (fs.existsSync(path.join(dir, 'pack.json'))) return dir;
+  const entries = fs.readdirSync(dir, { withFileTypes: true });
+  if (entries.length === 1 && entries[0].isDirectory()) return path.join(dir, entries[0].name);
+  return dir;
+}
+
+/**
+ * Load and validate a pack from a local directory or tarball path
+ */
+export function loadPack(spec, { knownCategories }) {
+  const resolved = path.resolve(spec);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Template pack not found: ${spec} (packs must be local directories or tarballs)`);
+  }
+
+  const isTarball = fs.statSync(resolved).isFile() && TARBALL_PATTERN.test(resolved);
+  if (fs.statSync(resolved).isFile() && !isTarball) {
+    throw new Error(`Template pack ${spec} is neither a directory nor a .tgz/.tar.gz/.tar file`);
+  }
+  const packRoot = isTarball ? extractTarball(resolved) : resolved;
+
+  const packJsonPath = path.join(packRoot, 'pack.json');
+  if (!fs.existsSync(packJsonPath)) throw new Error(`Template pack ${spec} has no pack.json`);
+
+  let meta;
+  try {
+    meta = JSON.parse(fs.readFileSync(packJsonPath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Invalid pack.json in ${spec}: ${err.message}`);
+  }
+
+  const problems = [];
+  if (typeof meta.name !== 'string' || !meta.name) problems.push('"name" must be a non-empty string');
+  if (typeof meta.version !== 'string' || !meta.version) problems.push('"version" must be a non-empty string');
+  if (!Array.isArray(meta.categories) || meta.categories.length === 0) {
+    problems.push('"categories" must be a non-empty array');
+  } else {
+    const unknown = meta.categories.filter(c => !knownCategories.includes(c));
+    if (unknown.length > 0) problems.push(`unknown categories: ${unknown.join(', ')} (known: ${knownCategories.join(', ')})`);
+  }
+  if (problems.length > 0) throw new Error(`Invalid pack.json in ${spec}:\n  - ${problems.join('\n  - ')}`);
+
+  const root = path.resolve(packRoot, meta.templates || '.');
+  if ((root !== packRoot && !root.startsWith(packRoot + path.sep)) || !fs.existsSync(root)) {
+    throw new Error(`Template pack ${spec}: "templates" must point to a directory inside the pack`);
+  }
+
+  return {
+    name: meta.name,
+    version: meta.version,
+    categories: meta.categories,
+    root,
+    spec: resolved
+  };
+}
+
+/**
+ * Template layers in precedence order (lowest first): built-ins, then packs
+ */
+export function resolveLayers({ templatesRoot, packageVersion, packSpecs, knownCategories }) {
+  const layers = [{ name: 'agentbootup', version: packageVersion, categories: null, root: templatesRoot, spec: null, builtin: true }];
+  const seen = new Set();
+
+  for (const spec of packSpecs) {
+    const pack = loadPack(spec, { knownCategories });
+    if (seen.has(pack.name)) throw new Error(`Template pack "${pack.name}" was given more than once`);
+    seen.add(pack.name);
+    layers.push(pack);
+  }
+
+  return layers;
+}
+
+/**
+ * Manifest source string for a file coming from a layer
+ */
+export function sourceFor(layer, rel) {
+  return layer.builtin ? `templates/${rel}` : `pack:${layer.name}/${rel}`;
+}
@@ -0,0 +1,153 @@
+/**
+ * Install Profiles and Project Detection
+ *
+ * Profiles are named install presets (subset plus optional skill/agent
+ * selection) defined in templates/profiles.json. `--detect` inspects the
+ * target repository and recommends one, with the reasons behind it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const PLATFORM_DIRS = {
+  claude: '.claude',
+  gemini: '.gemini',
+  codex: '.codex',
+  cursor: '.cursor',
+  windsurf: '.windsurf',
+  // Most repositories have .github/ for workflows; Copilot is in use when its instructions file is there
+  copilot: '.github/copilot-instructions.md'
+};
+
+// Categories that install only one platform's assets
+const PLATFORM_CATEGORIES = {
+  claude: ['agents', 'skills', 'commands', 'hooks'],
+  gemini: ['gemini'],
+  codex: ['codex'],
+  cursor: ['cursor'],
+  windsurf: ['workflows'],
+  copilot: ['copilot']
+};
+
+// Platforms without a profile of their own
+const IDE_NAMES = {
+  cursor: 'Cursor',
+  windsurf: 'Windsurf',
+  copilot: 'GitHub Copilot'
+};
+
+// Executables that indicate a CLI/IDE is installed on this machine
+const PLATFORM_BINARIES = {
+  claude: ['claude'],
+  gemini: ['gemini'],
+  codex: ['codex'],
+  cursor: ['cursor'],
+  windsurf: ['windsurf']
+};
+
+/**
+ * Load the profile definitions shipped with the templates
+ */
+export function loadProfiles(templatesRoot) {
+  const file = path.join(templatesRoot, 'profiles.json');
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+/**
+ * Look up a profile by name, failing with the list of valid names
+ */
+export function getProfile(profiles, name) {
+  const profile = profiles[name];
+  if (!profile) {
+    throw new Error(`Unknown profile: ${name}\nAvailable profiles: ${Object.keys(profiles).join(', ')}`);
+  }
+  return profile;
+}
+
+function onPath(binary) {
+  const exts = process.platform === 'win32' ? (process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';') : [''];
+  for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+    if (!dir) continue;
+    for (const ext of exts) {
+      try {
+        if (fs.statSync(path.join(dir, binary + ext)).isFile()) return true;
+      } catch {
+        // not in this directory
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Gather facts about the target repository and machine
+ */
+export function detectProject(target) {
+  const exists = (rel) => fs.existsSync(path.join(target, rel));
+
+  const projectTypes = [];
+  if (exists('package.json')) projectTypes.push('node');
+  if (exists('pyproject.toml') || exists('requirements.txt') || exists('setup.py')) projectTypes.push('python');
+  if (exists('go.mod')) projectTypes.push('go');
+  if (exists('Cargo.toml')) projectTypes.push('rust');
+
+  const platformDirs = Object.entries(PLATFORM_DIRS).filter(([, dir]) => exists(dir)).map(([p]) => p);
+  const clis = Object.entries(PLATFORM_BINARIES).filter(([, bins]) => bins.some(onPath)).map(([p]) => p);
+
+  return {
+    projectTypes,
+    platformDirs,
+    clis,
+    hasMemory: exists('memory') || exists('automation/HEARTBEAT.md')
+  };
+}
+
+/**
+ * Recommend a profile from detected facts.
+ * Returns { profile, subset, reasons } where subset may trim the profile's categories.
+ */
+export function recommendProfile(facts, profiles) {
+  const reasons = [];
+  const platforms = [...new Set([...facts.platformDirs, ...facts.clis])];
+
+  if (facts.platformDirs.length > 0) reasons.push(`Found existing ${facts.platformDirs.map(p => PLATFORM_DIRS[p]).join(', ')} in the project`);
+  if (facts.clis.length > 0) reasons.push(`Found ${facts.clis.join(', ')} on PATH`);
+
+  let profile;
+  if (platforms.length === 0) {
+    profile = 'minimal';
+    reasons.push('No AI CLI or IDE configuration detected, so starting small');
+  } else if (platforms.length === 1 && platforms[0] === 'codex') {
+    profile = 'codex-only';
+    reasons.push('Codex is the only assistant in use');
+  } else if (platforms.length === 1 && platforms[0] === 'gemini') {
+    profile = 'gemini-only';
+    reasons.push('Gemini CLI is the only assistant in use');
+  } else if (platforms.length === 1 && platforms[0] === 'claude') {
+    profile = facts.hasMemory ? 'autonomous' : 'standard';
+    reasons.push(facts.hasMemory
+      ? 'Claude Code with an existing memory/ or automation/ setup'
+      : 'Claude Code is the only assistant in use');
+  } else if (platforms.length === 1 && IDE_NAMES[platforms[0]]) {
+    profile = 'full';
+    reasons.push(`${IDE_NAMES[platforms[0]]} is the only assistant in use and has no profile of its own, so using full without the other assistants' assets`);
+  } else {
+    profile = 'full';
+    reasons.push(`Several assistants in use (${platforms.join(', ')}), so installing assets for all of them`);
+  }
+
+  let subset = [...getProfile(profiles, profile).subset];
+  if (platforms.length === 1 && IDE_NAMES[platforms[0]]) {
+    const others = Object.entries(PLATFORM_CATEGORIES).filter(([p]) => p !== platforms[0]).flatMap(([, categories]) => categories);
+    subset = subset.filter(c => !others.includes(c));
+  }
+
+  if (facts.projectTypes.length > 0) reasons.push(`Project type: ${facts.projectTypes.join(', ')}`);
+  // Bundled scripts are Node programs; leave them out of projects that don't use Node
+  if (subset.includes('scripts') && facts.projectTypes.length > 0 && !facts.projectTypes.includes('node')) {
+    subset = subset.filter(c => c !== 'scripts');
+    reasons.push('Skipping scripts/ (Node utilities) because this is not a Node project');
+  }
+
+  return { profile, subset, reasons };
+}
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectProject, recommendProfile } from './profiles.js';
+import { tempProject } from '../test-helpers.js';
+
+const PROFILES = {
+  minimal: { subset: ['skills', 'commands'] },
+  full: { subset: ['agents', 'skills', 'copilot'] }
+};
+
+test('detects Copilot from .github/copilot-instructions.md', (t) => {
+  const dir = tempProject(t, { '.github/copilot-instructions.md': '# Instructions\n' });
+
+  const facts = detectProject(dir);
+  assert.ok(facts.platformDirs.includes('copilot'));
+
+  const { reasons } = recommendProfile({ ...facts, clis: [] }, PROFILES);
+  assert.ok(reasons.some(r => r.includes('.github/copilot-instructions.md')));
+});
+
+test('.github without copilot-instructions.md is not Copilot', (t) => {
+  const dir = tempProject(t, { '.github/workflows/ci.yml': 'on: push\n' });
+
+  assert.ok(!detectProject(dir).platformDirs.includes('copilot'));
+});
+
+test('a single IDE gets the full profile without the other assistants\' assets', () => {
+  const profiles = { full: { subset: ['agents', 'skills', 'workflows', 'docs', 'gemini', 'cursor', 'copilot', 'memory'] } };
+  const facts = { platformDirs: ['windsurf'], clis: [], projectTypes: [], hasMemory: false };
+
+  const { profile, subset, reasons } = recommendProfile(facts, profiles);
+
+  assert.equal(profile, 'full');
+  assert.deepEqual(subset, ['workflows', 'docs', 'memory']);
+  assert.ok(reasons.some(r => r.startsWith('Windsurf is the only assistant in use')));
+  assert.ok(!reasons.some(r => r.includes('Several assistants')));
+});
@@ -0,0 +1,53 @@
+/**
+ * Markdown References
+ *
+ * What `bootup doctor` and `sync-templates --lint` share when they look for
+ * references between skills, agents and commands: the markdown files to scan,
+ * the reference patterns, and the live text of a file with fenced code blocks
+ * blanked out, since examples in them are not real references.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const SKILL_REF_PATTERN = /@skills\/([A-Za-z0-9][\w.-]*)/g;
+
+// Illustrative names used in skill documentation, not real references
+export const PLACEHOLDER_PATTERN = /^(?:skill-name|agent-name|command-name|your-|my-|new-|example)/;
+
+/**
+ * Every .md file under dir, sorted; none if dir does not exist
+ */
+export function listMarkdown(dir) {
+  const out = [];
+  if (!fs.existsSync(dir)) return out;
+  const walk = (d) => {
+    for (const e of fs.readdirSync(d, { withFileTypes: true })) {
+      const abs = path.join(d, e.name);
+      if (e.isDirectory()) walk(abs);
+      else if (e.isFile() && e.name.endsWith('.md')) out.push(abs);
+    }
+  };
+  walk(dir);
+  return out.sort();
+}
+
+/**
+ * Lines of a markdown file with fenced code blocks blanked, so line numbers still match.
+ * A fence closes at the next fence line with the same marker.
+ */
+export function liveLines(content) {
+  let fence = null;
+  return content.split('\n').map((line) => {
+    const marker = line.match(/^\s*(```|~~~)/);
+    if (fence) {
+      if (marker && marker[1] === fence) fence = null;
+      return '';
+    }
+    if (marker) {
+      fence = marker[1];
+      return '';
+    }
+    return line;
+  });
+}
@@ -0,0 +1,132 @@
+/**
+ * Template Variable Rendering
+ *
+ * Fills {{variable}} placeholders in markdown templates at install time.
+ * Values come from (lowest to highest precedence):
+ *   1. Detection in the target repo (package.json, lockfiles, git config)
+ *   2. Values saved in the install manifest by a previous run
+ *   3. An answers file (--answers <file.json>)
+ *   4. --var key=value flags
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+// Only text templates are rendered; scripts are copied byte-for-byte
+const RENDERED_EXTENSIONS = new Set(['.md', '.mdc']);
+
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z][\w.-]*)\s*\}\}/g;
+
+const LOCKFILES = [
+  ['pnpm-lock.yaml', 'pnpm'],
+  ['yarn.lock', 'yarn'],
+  ['bun.lock', 'bun'],
+  ['bun.lockb', 'bun'],
+  ['package-lock.json', 'npm']
+];
+
+function readPackageJson(target) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(target, 'package.json'), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function git(target, args) {
+  try {
+    return execFileSync('git', args, { cwd: target, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+function detectDefaultBranch(target) {
+  const originHead = git(target, ['symbolic-ref', '--quiet', '--short', 'refs/remotes/origin/HEAD']);
+  if (originHead) return originHead.replace(/^origin\//, '');
+  return git(target, ['config', '--get', 'init.defaultBranch'])
+    || git(target, ['symbolic-ref', '--quiet', '--short', 'HEAD'])
+    || 'main';
+}
+
+function detectPackageManager(target, pkg) {
+  if (pkg?.packageManager) return pkg.packageManager.split('@')[0];
+  for (const [file, manager] of LOCKFILES) {
+    if (fs.existsSync(path.join(target, file))) return manager;
+  }
+  return 'npm';
+}
+
+/**
+ * Detect variable values from the target repository
+ */
+export function detectVariables(target) {
+  const pkg = readPackageJson(target);
+  const today = new Date().toISOString().split('T')[0];
+
+  return {
+    projectName: pkg?.name || path.basename(target),
+    projectDescription: pkg?.description || '',
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+    defaultBranch: detectDefaultBranch(target),
+    packageManager: detectPackageManager(target, pkg),
+    gitUserName: git(target, ['config', '--get', 'user.name']) || '',
+    installDate: today,
+    year: today.slice(0, 4)
+  };
+}
+
+/**
+ * Parse --var key=value entries into an object
+ */
+export function parseVarFlags(entries) {
+  const vars = {};
+  for (const entry of entries) {
+    const eq = entry.indexOf('=');
+    if (eq <= 0) throw new Error(`Invalid --var "${entry}" (expected key=value)`);
+    vars[entry.slice(0, eq).trim()] = entry.slice(eq + 1);
+  }
+  return vars;
+}
+
+/**
+ * Read an answers file: a flat JSON object of variable values
+ */
+export function readAnswersFile(file) {
+  const answers = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    throw new Error(`Answers file ${file} must contain a JSON object`);
+  }
+  return Object.fromEntries(Object.entries(answers).map(([k, v]) => [k, String(v)]));
+}
+
+/**
+ * Merge variable sources in precedence order
+ */
+export function resolveVariables({ target, saved = {}, answersFile = null, vars = {} }) {
+  return {
+    ...detectVariables(target),
+    ...saved,
+    ...(answersFile ? readAnswersFile(answersFile) : {}),
+    ...vars
+  };
+}
+
+export function isRenderable(rel) {
+  return RENDERED_EXTENSIONS.has(path.extname(rel));
+}
+
+/**
+ * Replace {{variable}} placeholders.
+ * Unknown variables are left untouched and returned in `unknown`.
+ */
+export function renderTemplate(content, variables) {
+  const unknown = new Set();
+  const rendered = content.replace(VARIABLE_PATTERN, (match, name) => {
+    if (Object.prototype.hasOwnProperty.call(variables, name)) return variables[name];
+    unknown.add(name);
+    return match;
+  });
+  return { content: rendered, unknown: [...unknown] };
+}
@@ -0,0 +1,56 @@
+/**
+ * Project Scaffolding
+ *
+ * Directories and starter files bootup creates alongside the templates,
+ * and cleanup of the directories it leaves empty.
+ * Shared by install, uninstall, rollback and `bootup doctor --fix`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+export function dailyNoteTemplate(date) {
+  return `# ${date}\n\n## Sessions\n\n*No sessions recorded yet*\n`;
+}
+
+/**
+ * Ensure tasks/ exists with a .gitkeep. Returns true if anything was created.
+ */
+export function ensureTasksDir(target, { dryRun = false } = {}) {
+  const gitkeep = path.join(target, 'tasks', '.gitkeep');
+  if (fs.existsSync(gitkeep)) return false;
+  if (!dryRun) {
+    fs.mkdirSync(path.dirname(gitkeep), { recursive: true });
+    fs.writeFileSync(gitkeep, '');
+  }
+  return true;
+}
+
+/**
+ * Ensure memory/daily/ exists with today's daily note. Returns true if anything was created.
+ */
+export function ensureDailyNote(target, { dryRun = false } = {}) {
+  const date = today();
+  const dailyNote = path.join(target, 'memory', 'daily', `${date}.md`);
+  if (fs.existsSync(dailyNote)) return false;
+  if (!dryRun) {
+    fs.mkdirSync(path.dirname(dailyNote), { recursive: true });
+    fs.writeFileSync(dailyNote, dailyNoteTemplate(date));
+  }
+  return true;
+}
+
+/**
+ * Remove empty parent directories of a removed path, stopping at target
+ */
+export function pruneEmptyDirs(target, rel) {
+  let dir = path.dirname(path.join(target, rel));
+  while (dir.startsWith(target + path.sep) && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+    fs.rmdirSync(dir);
+    dir = path.dirname(dir);
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * Skill and Agent Selection
+ *
+ * Maps template paths back to the skill or agent they were derived from so
+ * `--skills`, `--agents` and `--exclude` select the same unit everywhere:
+ * the Claude skill, its generated command, Windsurf workflow, ai-dev-task and
+ * Cursor rule and Copilot prompt file, and the Gemini/Codex copies.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const SKILL_DIR_PATTERN = /^\.(?:claude|gemini|codex)\/skills\/([^/]+)\//;
+
+// Files generated from a skill by sync-templates (autoGenerateSupportingFiles)
+const SKILL_DERIVED_PATTERNS = [
+  /^\.claude\/commands\/([^/]+)\.md$/,
+  /^\.gemini\/commands\/([^/]+)\.(?:md|toml)$/,
+  /^\.windsurf\/workflows\/([^/]+)\.md$/,
+  /^ai-dev-tasks\/([^/]+)\.md$/,
+  /^\.cursor\/rules\/([^/]+)\.mdc$/,
+  /^\.github\/prompts\/([^/]+)\.prompt\.md$/
+];
+
+const AGENT_PATTERNS = [
+  /^\.(?:claude|gemini)\/agents\/([^/]+)\.md$/,
+  /^\.github\/chatmodes\/([^/]+)\.chatmode\.md$/
+];
+
+function childNames(dir, { dirs }) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(e => (dirs ? e.isDirectory() : e.isFile() && e.name.endsWith('.md')))
+    .map(e => (dirs ? e.name : e.name.slice(0, -3)));
+}
+
+/**
+ * Names of every skill and agent shipped in a templates tree
+ */
+export function listTemplateCatalog(templatesRoot) {
+  const skills = new Set();
+  const agents = new Set();
+
+  for (const platform of ['.claude', '.gemini', '.codex']) {
+    for (const name of childNames(path.join(templatesRoot, platform, 'skills'), { dirs: true })) skills.add(name);
+  }
+  for (const platform of ['.claude', '.gemini']) {
+    for (const name of childNames(path.join(templatesRoot, platform, 'agents'), { dirs: false })) agents.add(name);
+  }
+
+  return { skills, agents };
+}
+
+/**
+ * The skill or agent a template path belongs to, or null for shared files
+ */
+export function ownerOf(rel, catalog) {
+  const skillDir = rel.match(SKILL_DIR_PATTERN);
+  if (skillDir) return { kind: 'skill', name: skillDir[1] };
+
+  for (const pattern of SKILL_DERIVED_PATTERNS) {
+    const m = rel.match(pattern);
+    // Commands like dev-pipeline are not derived from a skill and stay shared
+    if (m && catalog.skills.has(m[1])) return { kind: 'skill', name: m[1] };
+  }
+
+  for (const pattern of AGENT_PATTERNS) {
+    const m = rel.match(pattern);
+    if (m) return { kind: 'agent', name: m[1] };
+  }
+
+  return null;
+}
+
+function assertKnown(names, known, kind) {
+  const unknown = names.filter(n => !known.has(n));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown ${kind}(s): ${unknown.join(', ')}\nAvailable ${kind}s: ${[...known].sort().join(', ')}`);
+  }
+}
+
+/**
+ * Build a predicate over template paths from --skills/--agents/--exclude.
+ * A null list means "all"; shared (non skill/agent) files are always included.
+ */
+export function createSelection({ skills = null, agents = null, exclude = [] }, catalog) {
+  if (skills) assertKnown(skills, catalog.skills, 'skill');
+  if (agents) assertKnown(agents, catalog.agents, 'agent');
+  assertKnown(exclude, new Set([...catalog.skills, ...catalog.agents]), 'skill or agent');
+
+  const chosen = {
+    skill: skills ? new Set(skills) : null,
+    agent: agents ? new Set(agents) : null
+  };
+  const excluded = new Set(exclude);
+
+  return {
+    includes(rel) {
+      const owner = ownerOf(rel, catalog);
+      if (!owner) return true;
+      if (excluded.has(owner.name)) return false;
+      const set = chosen[owner.kind];
+      return !set || set.has(owner.name);
+    }
+  };
+}
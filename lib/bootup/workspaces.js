@@ -0,0 +1,184 @@
+/**
+ * Monorepo Workspaces
+ *
+ * `bootup --workspaces` installs one set of templates at the repository root
+ * (shared memory system, automation, skills) and a smaller set into each
+ * workspace package (commands, ai-dev-tasks with its tasks/ directory, and
+ * the instruction-file fragments).
+ *
+ * Workspaces are discovered from package.json `workspaces`,
+ * pnpm-workspace.yaml or lerna.json. What goes where is configured in an
+ * optional agentbootup.workspaces.json at the root:
+ *
+ *   {
+ *     "root": { "profile": "autonomous" },
+ *     "packages": { "subset": ["commands", "docs", "fragments"] },
+ *     "overrides": { "apps/web": { "subset": ["commands", "fragments", "cursor"] } },
+ *     "ignore": ["packages/legacy"]
+ *   }
+ *
+ * Each entry takes the same selection options as install: subset, profile,
+ * skills, agents, exclude.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const WORKSPACES_CONFIG_FILE = 'agentbootup.workspaces.json';
+
+const DEFAULT_CONFIG = {
+  root: {},
+  packages: { subset: ['commands', 'docs', 'fragments'] },
+  overrides: {},
+  ignore: []
+};
+
+const SELECTION_KEYS = ['subset', 'profile', 'skills', 'agents', 'exclude'];
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw new Error(`Invalid JSON in ${file}: ${err.message}`);
+  }
+}
+
+// The `packages:` list of a pnpm-workspace.yaml (the only key bootup needs)
+function readPnpmPatterns(file) {
+  if (!fs.existsSync(file)) return null;
+  const patterns = [];
+  let inPackages = false;
+  for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+    if (/^\S/.test(line)) {
+      inPackages = /^packages\s*:/.test(line);
+      continue;
+    }
+    const item = inPackages && line.match(/^\s+-\s*(.+?)\s*$/);
+    if (item) patterns.push(item[1].replace(/^['"]|['"]$/g, ''));
+  }
+  return patterns;
+}
+
+/**
+ * Workspace glob patterns declared by the repository, with where they came from
+ */
+export function readWorkspacePatterns(root) {
+  const pkg = readJson(path.join(root, 'package.json'));
+  const fromPackage = Array.isArray(pkg?.workspaces) ? pkg.workspaces : pkg?.workspaces?.packages;
+  if (fromPackage?.length) return { source: 'package.json', patterns: fromPackage };
+
+  const fromPnpm = readPnpmPatterns(path.join(root, 'pnpm-workspace.yaml'));
+  if (fromPnpm?.length) return { source: 'pnpm-workspace.yaml', patterns: fromPnpm };
+
+  const lerna = readJson(path.join(root, 'lerna.json'));
+  if (lerna?.packages?.length) return { source: 'lerna.json', patterns: lerna.packages };
+
+  return null;
+}
+
+function segmentPattern(segment) {
+  const escaped = segment.replace(/[.+^${}()|[\]\\]/g, '\\$&').replaceAll('*', '[^/]*').replaceAll('?', '[^/]');
+  return new RegExp(`^${escaped}$`);
+}
+
+// Directories matching a workspace glob (`*` within a segment, `**` across segments)
+function expandPattern(root, pattern) {
+  const segments = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/').filter(Boolean);
+  const results = [];
+
+  const walk = (rel, index) => {
+    if (index === segments.length) {
+      results.push(rel);
+      return;
+    }
+    const abs = path.join(root, rel);
+    if (!fs.existsSync(abs) || !fs.statSync(abs).isDirectory()) return;
+
+    const segment = segments[index];
+    if (segment === '**') {
+      walk(rel, index + 1);
+      for (const e of fs.readdirSync(abs, { withFileTypes: true })) {
+        if (e.isDirectory() && e.name !== 'node_modules' && !e.name.startsWith('.')) walk(path.posix.join(rel, e.name), index);
+      }
+      return;
+    }
+    if (!/[*?]/.test(segment)) {
+      walk(path.posix.join(rel, segment), index + 1);
+      return;
+    }
+    const matcher = segmentPattern(segment);
+    for (const e of fs.readdirSync(abs, { withFileTypes: true })) {
+      if (e.isDirectory() && e.name !== 'node_modules' && matcher.test(e.name)) walk(path.posix.join(rel, e.name), index + 1);
+    }
+  };
+
+  walk('', 0);
+  return results;
+}
+
+/**
+ * Workspace package directories (relative to root, with a package.json), sorted
+ */
+export function discoverWorkspaces(root) {
+  const declared = readWorkspacePatterns(root);
+  if (!declared) return null;
+
+  const included = new Set();
+  const excluded = new Set();
+  for (const pattern of declared.patterns) {
+    const negated = pattern.startsWith('!');
+    for (const rel of expandPattern(root, negated ? pattern.slice(1) : pattern)) {
+      if (rel && fs.existsSync(path.join(root, rel, 'package.json'))) (negated ? excluded : included).add(rel);
+    }
+  }
+
+  return {
+    source: declared.source,
+    packages: [...included].filter(rel => !excluded.has(rel)).sort()
+  };
+}
+
+function pickSelection(entry = {}) {
+  return Object.fromEntries(SELECTION_KEYS.filter(k => entry[k] !== undefined).map(k => [k, entry[k]]));
+}
+
+/**
+ * Read agentbootup.workspaces.json, falling back to the defaults for anything it leaves out
+ */
+export function loadWorkspaceConfig(root) {
+  const file = path.join(root, WORKSPACES_CONFIG_FILE);
+  const config = readJson(file) || {};
+  return {
+    root: pickSelection(config.root ?? DEFAULT_CONFIG.root),
+    packages: pickSelection(config.packages ?? DEFAULT_CONFIG.packages),
+    overrides: Object.fromEntries(Object.entries(config.overrides || {}).map(([rel, entry]) => [rel.replace(/\/+$/, ''), pickSelection(entry)])),
+    ignore: (config.ignore || DEFAULT_CONFIG.ignore).map(rel => rel.replace(/\/+$/, '')),
+    file: fs.existsSync(file) ? file : null
+  };
+}
+
+/**
+ * One install per target: the root first, then each workspace package.
+ *
+ * @returns {Array<{ rel: string, target: string, selection: object }>}
+ */
+export function planWorkspaces(root) {
+  const discovered = discoverWorkspaces(root);
+  if (!discovered) {
+    throw new Error(`No workspaces found in ${root} (expected package.json "workspaces", pnpm-workspace.yaml or lerna.json)`);
+  }
+  const config = loadWorkspaceConfig(root);
+
+  const unknown = Object.keys(config.overrides).filter(rel => !discovered.packages.includes(rel));
+  if (unknown.length > 0) {
+    throw new Error(`${WORKSPACES_CONFIG_FILE} overrides unknown workspaces: ${unknown.join(', ')}\nWorkspaces: ${discovered.packages.join(', ')}`);
+  }
+
+  return [
+    { rel: '.', target: root, selection: config.root },
+    ...discovered.packages
+      .filter(rel => !config.ignore.includes(rel))
+      .map(rel => ({ rel, target: path.join(root, rel), selection: config.overrides[rel] || config.packages }))
+  ];
+}
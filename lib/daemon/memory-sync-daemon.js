@@ -10,6 +10,7 @@ import path from 'path';
 import { EventEmitter } from 'events';
 import { MemorySyncManager } from '../sync/sync-manager.js';
 import { SyncConfigManager } from '../sync/config-manager.js';
+import { fileToSync } from '../sync/three-way.js';
 
 export class MemorySyncDaemon extends EventEmitter {
   constructor(options = {}) {
@@ -157,10 +158,9 @@ export class MemorySyncDaemon extends EventEmitter {
             for await (const event of watcher) {
               if (!this.running) break;
 
-              const filePath = path.join(dir, event.filename);
-
-              // Only sync files that match our patterns
-              if (files.includes(filePath)) {
+              // Only sync files that match our patterns (or whose conflict was resolved)
+              const filePath = await fileToSync(path.join(dir, event.filename), files, this.basePath);
+              if (filePath) {
                 await this.queueSync(filePath);
               }
             }
@@ -234,7 +234,12 @@ export class MemorySyncDaemon extends EventEmitter {
       this.stats.syncSuccessCount++;
       this.stats.lastSyncAt = Date.now();
 
-      console.log(`[Daemon] ✓ Synced ${filePath} (${result.status})`);
+      if (result.status === 'conflict') {
+        console.warn(`[Daemon] ⚠ Conflict in ${filePath}; resolve ${result.conflictFile} and delete it`);
+        this.emit('conflict', { file: filePath, result });
+      } else {
+        console.log(`[Daemon] ✓ Synced ${filePath} (${result.status})`);
+      }
       this.emit('synced', { file: filePath, result });
     } catch (err) {
       console.error(`[Daemon] ✗ Sync failed for ${filePath}:`, err.message);
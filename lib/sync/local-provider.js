@@ -2,26 +2,51 @@
  * Local Storage Provider
  *
  * Simple local file-based sync for testing and development.
- * Syncs files to a local .sync/ directory.
+ * Syncs files to a local .sync/ directory, keeping the last-synced content
+ * of each file in .sync/.base/ as the three-way merge base.
  */
 
 import fs from 'fs/promises';
 import path from 'path';
 import crypto from 'crypto';
+import { BaseStore, conflictPath, hasConflict, mergeSyncedFile } from './three-way.js';
+
+const BASE_DIR = '.base';
 
 export class LocalStorageProvider {
   constructor(options = {}) {
     this.projectPath = options.projectPath || process.cwd();
     this.syncDir = path.join(this.projectPath, '.sync');
+    // Where an earlier version kept the sync directory, reported on init
+    this.legacySyncDir = options.legacySyncDir || null;
+    this.legacyChecked = false;
+    this.bases = new BaseStore(path.join(this.syncDir, BASE_DIR));
   }
 
   /**
    * Initialize local sync directory
    */
   async init() {
+    await this.checkLegacySyncDir();
     await fs.mkdir(this.syncDir, { recursive: true });
   }
 
+  /**
+   * Point at sync state left in the legacy location. It is not moved: the
+   * working directory's .sync/ may belong to another project or another tool.
+   */
+  async checkLegacySyncDir() {
+    if (this.legacyChecked || !this.legacySyncDir) return;
+    this.legacyChecked = true;
+    if (path.resolve(this.legacySyncDir) === path.resolve(this.syncDir)) return;
+
+    const exists = (dir) => fs.access(dir).then(() => true, () => false);
+    if (await exists(this.syncDir) || !await exists(this.legacySyncDir)) return;
+
+    console.warn(`Sync state for ${this.projectPath} is kept in ${this.syncDir}; ` +
+      `${this.legacySyncDir} was left alone. If it holds this project's sync state, move it there.`);
+  }
+
   /**
    * Calculate file hash
    */
@@ -75,6 +100,7 @@ export class LocalStorageProvider {
         `${targetPath}.meta`,
         JSON.stringify(metadata, null, 2)
       );
+      await this.bases.write(filePath, await fs.readFile(sourcePath, 'utf-8'));
 
       return {
         status: 'pushed',
@@ -113,6 +139,7 @@ export class LocalStorageProvider {
 
       // Copy file
       await fs.copyFile(sourcePath, targetPath);
+      await this.bases.write(filePath, await fs.readFile(sourcePath, 'utf-8'));
 
       return {
         status: 'pulled',
@@ -132,6 +159,9 @@ export class LocalStorageProvider {
    */
   async syncFile(filePath) {
     try {
+      // The daemon syncs single files without going through sync()
+      await this.init();
+
       const localPath = path.join(this.projectPath, filePath);
       const syncPath = path.join(this.syncDir, filePath);
 
@@ -151,6 +181,11 @@ export class LocalStorageProvider {
         return { status: 'not-found', file: filePath };
       }
 
+      // Wait for the last conflict to be resolved
+      if (await hasConflict(localPath)) {
+        return { status: 'conflict', file: filePath, conflictFile: conflictPath(filePath) };
+      }
+
       if (!localMeta) {
         // File only in sync, pull it
         return await this.pullFile(filePath);
@@ -161,17 +196,17 @@ export class LocalStorageProvider {
         return await this.pushFile(filePath);
       }
 
-      // Both exist, compare
-      if (localMeta.hash === syncMeta.hash) {
+      // Both exist, compare (the synced file itself; its .meta may predate an edit)
+      if (localMeta.hash === await this.getFileHash(syncPath)) {
+        // Files synced before bases were kept get one now
+        if (await this.bases.read(filePath) === null) {
+          await this.bases.write(filePath, await fs.readFile(localPath, 'utf-8'));
+        }
         return { status: 'unchanged', file: filePath };
       }
 
-      // Different content, use last-write-wins
-      if (localMeta.modified > syncMeta.modified) {
-        return await this.pushFile(filePath);
-      } else {
-        return await this.pullFile(filePath);
-      }
+      // Different content, merge both sides' edits since the last sync
+      return await this.mergeFile(filePath);
     } catch (err) {
       return {
         status: 'error',
@@ -181,6 +216,33 @@ export class LocalStorageProvider {
     }
   }
 
+  /**
+   * Three-way merge of local and synced content against the last-synced base.
+   * Conflicts go to <file>.conflict; syncing the file waits until it is resolved.
+   */
+  async mergeFile(filePath) {
+    const localPath = path.join(this.projectPath, filePath);
+    const local = await fs.readFile(localPath, 'utf-8');
+    const remote = await fs.readFile(path.join(this.syncDir, filePath), 'utf-8');
+    const base = await this.bases.read(filePath);
+
+    // Only one side changed since the last sync
+    if (base === local) return await this.pullFile(filePath);
+    if (base === remote) return await this.pushFile(filePath);
+
+    const { content, conflicts } = mergeSyncedFile(filePath, base, local, remote);
+    if (conflicts > 0) {
+      await fs.writeFile(conflictPath(localPath), content);
+      // The resolution will include the synced side, so it only needs pushing
+      await this.bases.write(filePath, remote);
+      return { status: 'conflict', file: filePath, conflicts, conflictFile: conflictPath(filePath) };
+    }
+
+    await fs.writeFile(localPath, content);
+    const pushed = await this.pushFile(filePath);
+    return pushed.status === 'pushed' ? { status: 'merged', file: filePath } : pushed;
+  }
+
   /**
    * List files in sync directory
    */
@@ -196,6 +258,7 @@ export class LocalStorageProvider {
           const fullPath = path.join(dir, entry.name);
 
           if (entry.isDirectory()) {
+            if (dir === this.syncDir && entry.name === BASE_DIR) continue;
             await scan(fullPath);
           } else if (!entry.name.endsWith('.meta')) {
             const relativePath = path.relative(this.syncDir, fullPath);
@@ -4,11 +4,15 @@
  * Syncs memory files to Mech Storage NoSQL Documents API
  * Collection: agent_memory_{project_id}
  * Document ID format: {file_path} (e.g., "memory/MEMORY.md")
+ *
+ * The last-synced content of each file is kept locally in .sync/.base/
+ * (or config.baseDir) as the three-way merge base.
  */
 
 import fs from 'fs/promises';
 import path from 'path';
 import crypto from 'crypto';
+import { BaseStore, conflictPath, hasConflict, mergeSyncedFile } from './three-way.js';
 
 export class MechStorageProvider {
   constructor(config) {
@@ -17,6 +21,7 @@ export class MechStorageProvider {
     this.apiKey = config.apiKey;
     this.projectId = config.projectId || this.generateProjectId(config.projectPath);
     this.collection = `agent_memory_${this.projectId}`;
+    this.bases = new BaseStore(config.baseDir || path.join(config.projectPath || process.cwd(), '.sync', '.base'));
 
     if (!this.appId || !this.apiKey) {
       throw new Error('Mech Storage sync requires appId and apiKey');
@@ -156,6 +161,7 @@ export class MechStorageProvider {
         synced_at: Date.now()
       }
     });
+    await this.bases.write(filePath, metadata.content);
 
     return { status: 'pushed', file: filePath, hash: metadata.hash };
   }
@@ -177,13 +183,15 @@ export class MechStorageProvider {
 
     // Write file
     await fs.writeFile(filePath, metadata.content, 'utf-8');
+    await this.bases.write(filePath, metadata.content);
 
     return { status: 'pulled', file: filePath, hash: metadata.hash };
   }
 
   /**
    * Sync a single file (bidirectional)
-   * Strategy: Last-write-wins
+   * Strategy: three-way merge against the last-synced base; conflicts go to
+   * <file>.conflict and the file is not synced again until that is resolved
    */
   async syncFile(filePath) {
     const local = await this.getLocalMetadata(filePath);
@@ -194,6 +202,12 @@ export class MechStorageProvider {
       return { status: 'skipped', reason: 'not_found_anywhere', file: filePath };
     }
 
+    // Unresolved conflict from an earlier sync - wait for it
+    if (await hasConflict(filePath)) {
+      console.log(`[Sync] ${filePath}: waiting for ${conflictPath(filePath)} to be resolved`);
+      return { status: 'conflict', file: filePath, conflictFile: conflictPath(filePath) };
+    }
+
     // Only local exists - push
     if (local && !remote) {
       return await this.pushFile(filePath);
@@ -206,17 +220,34 @@ export class MechStorageProvider {
 
     // Both exist - compare hashes
     if (local.hash === remote.hash) {
+      // Files synced before bases were kept get one now
+      if (await this.bases.read(filePath) === null) await this.bases.write(filePath, local.content);
       return { status: 'up_to_date', file: filePath };
     }
 
-    // Different content - use last-write-wins
-    if (local.modified > remote.modified) {
-      console.log(`[Sync] ${filePath}: local is newer, pushing`);
-      return await this.pushFile(filePath);
-    } else {
-      console.log(`[Sync] ${filePath}: remote is newer, pulling`);
+    // Different content - merge both sides' edits since the last sync
+    const base = await this.bases.read(filePath);
+    if (base === local.content) {
+      console.log(`[Sync] ${filePath}: changed remotely, pulling`);
       return await this.pullFile(filePath);
     }
+    if (base === remote.content) {
+      console.log(`[Sync] ${filePath}: changed locally, pushing`);
+      return await this.pushFile(filePath);
+    }
+
+    const { content, conflicts } = mergeSyncedFile(filePath, base, local.content, remote.content);
+    if (conflicts > 0) {
+      await fs.writeFile(conflictPath(filePath), content, 'utf-8');
+      // The resolution will include the remote side, so it only needs pushing
+      await this.bases.write(filePath, remote.content);
+      console.log(`[Sync] ${filePath}: ${conflicts} conflict(s), resolve ${conflictPath(filePath)} into the file and delete it`);
+      return { status: 'conflict', file: filePath, conflicts, conflictFile: conflictPath(filePath) };
+    }
+
+    console.log(`[Sync] ${filePath}: changed on both sides, merged`);
+    await fs.writeFile(filePath, content, 'utf-8');
+    return { ...(await this.pushFile(filePath)), status: 'merged' };
   }
 
   /**
@@ -8,13 +8,14 @@ import fs from 'fs/promises';
 import path from 'path';
 import { MechStorageProvider } from './mech-provider.js';
 import { LocalStorageProvider } from './local-provider.js';
+import { fileToSync } from './three-way.js';
 
 export class MemorySyncManager {
   constructor(config) {
     this.config = config;
+    this.basePath = config.basePath || process.cwd();
     this.provider = this.getProvider(config.provider, config.providerConfig);
     this.files = config.files || this.getDefaultFiles();
-    this.basePath = config.basePath || process.cwd();
   }
 
   /**
@@ -30,7 +31,9 @@ export class MemorySyncManager {
       case 'local':
         return new LocalStorageProvider({
           ...config,
-          projectPath: this.basePath
+          projectPath: this.basePath,
+          // Before basePath reached the provider, .sync/ was created in the working directory
+          legacySyncDir: path.join(process.cwd(), '.sync')
         });
       default:
         throw new Error(`Unknown sync provider: ${name}`);
@@ -205,6 +208,14 @@ export class MemorySyncManager {
         console.log(`  ${err.file}: ${err.error}`);
       }
     }
+
+    const conflicts = results.filter(r => r.status === 'conflict');
+    if (conflicts.length > 0) {
+      console.log('\nConflicts (resolve the <<<<<<< / >>>>>>> markers into the file, then delete the .conflict file):');
+      for (const c of conflicts) {
+        console.log(`  ${c.file} → ${c.conflictFile}`);
+      }
+    }
   }
 
   /**
@@ -226,9 +237,9 @@ export class MemorySyncManager {
         console.log(`[Sync] Watching ${dir}/`);
 
         for await (const event of watcher) {
-          const filePath = path.join(dir, event.filename);
+          const filePath = await fileToSync(path.join(dir, event.filename), files, this.basePath);
 
-          if (files.includes(filePath)) {
+          if (filePath) {
             console.log(`[Sync] Change detected: ${filePath}`);
 
             // Debounce: wait a bit for multiple rapid changes
@@ -0,0 +1,168 @@
+/**
+ * Three-Way Merge for Memory Sync
+ *
+ * Providers keep the content each file had when it was last synced (the
+ * base) and merge local and remote edits against it instead of letting the
+ * newer file win. Markdown files get a markdown-aware merge: when both sides
+ * add lines at the same place (new bullets, new sections, entries in the same
+ * daily log), the additions are combined section by section. Edits to the
+ * same existing lines are a true conflict: the result, with git-style
+ * markers, is written to `<file>.conflict` and the file is left alone.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { merge3, lcsPairs, splitLines } from '../bootup/merge.js';
+
+const HEADING_PATTERN = /^#{1,6}\s/;
+const BULLET_PATTERN = /^\s*(?:[-*+]|\d+[.)])\s/;
+
+/**
+ * Last-synced content per file, stored under dir with the file's relative path
+ */
+export class BaseStore {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  async read(filePath) {
+    try {
+      return await fs.readFile(path.join(this.dir, filePath), 'utf-8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async write(filePath, content) {
+    const file = path.join(this.dir, filePath);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, content, 'utf-8');
+  }
+}
+
+const CONFLICT_SUFFIX = '.conflict';
+
+export function conflictPath(filePath) {
+  return `${filePath}${CONFLICT_SUFFIX}`;
+}
+
+/**
+ * Whether a file still has an unresolved `.conflict` next to it
+ */
+export async function hasConflict(localPath) {
+  try {
+    await fs.access(conflictPath(localPath));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The watched file to sync for a change to filePath, or null. Deleting
+ * `<file>.conflict` marks the conflict resolved, so it syncs `<file>`, whose
+ * own edits were skipped while the conflict was open.
+ */
+export async function fileToSync(filePath, files, basePath) {
+  if (files.includes(filePath)) return filePath;
+  if (!filePath.endsWith(CONFLICT_SUFFIX)) return null;
+
+  const target = filePath.slice(0, -CONFLICT_SUFFIX.length);
+  if (!files.includes(target) || await hasConflict(path.join(basePath, target))) return null;
+  return target;
+}
+
+// Lines grouped into sections: [{ heading: line or null, lines }]
+function splitSections(lines) {
+  const sections = [{ heading: null, lines: [] }];
+  for (const line of lines) {
+    if (HEADING_PATTERN.test(line)) sections.push({ heading: line, lines: [line] });
+    else sections[sections.length - 1].lines.push(line);
+  }
+  return sections[0].lines.length === 0 ? sections.slice(1) : sections;
+}
+
+// Index where a run of trailing blank lines starts
+function endOfContent(lines) {
+  let end = lines.length;
+  while (end > 0 && lines[end - 1].trim() === '') end--;
+  return end;
+}
+
+// Insert lines before a section's trailing blank lines, so its separator stays last
+function appendToSection(section, lines) {
+  section.lines.splice(endOfContent(section.lines), 0, ...lines.slice(0, endOfContent(lines)));
+}
+
+/**
+ * Combine two sets of lines inserted at the same place: theirs' sections are
+ * merged into ours' sections with the same heading (or appended), and bullets
+ * both sides added are kept once.
+ */
+function combineInsertions(oursChunk, theirsChunk) {
+  const sections = splitSections(oursChunk).map(s => ({ ...s, lines: [...s.lines] }));
+
+  for (const theirs of splitSections(theirsChunk)) {
+    const target = sections.find(s => s.heading === theirs.heading);
+    if (!target) {
+      sections.push(theirs);
+      continue;
+    }
+    const body = theirs.heading === null ? theirs.lines : theirs.lines.slice(1);
+    const added = body.filter(line => !(BULLET_PATTERN.test(line) && target.lines.includes(line)));
+    if (added.some(line => line.trim() !== '')) appendToSection(target, added);
+  }
+
+  return sections.flatMap(s => s.lines);
+}
+
+// Only additions at the same place can be combined; edits to the same lines conflict
+function resolveMarkdown(baseChunk, oursChunk, theirsChunk) {
+  return baseChunk.length === 0 ? combineInsertions(oursChunk, theirsChunk) : null;
+}
+
+/**
+ * Two-way comparison for files synced before bases were kept. Without a base
+ * there is no telling an addition on one side from a deletion on the other,
+ * so every place the two differ becomes a conflict; shared lines appear once.
+ */
+function conflictWithoutBase(local, remote, labels) {
+  const ours = splitLines(local);
+  const theirs = splitLines(remote);
+  const lines = [];
+  let conflicts = 0;
+  let a = 0;
+  let b = 0;
+
+  for (const [i, j] of [...lcsPairs(ours, theirs), [ours.length, theirs.length]]) {
+    if (i > a || j > b) {
+      conflicts++;
+      lines.push(`<<<<<<< ${labels.ours}`, ...ours.slice(a, i), '=======', ...theirs.slice(b, j), `>>>>>>> ${labels.theirs}`);
+    }
+    if (i < ours.length) lines.push(ours[i]);
+    a = i + 1;
+    b = j + 1;
+  }
+
+  return { content: lines.join('\n'), conflicts };
+}
+
+/**
+ * Merge local and remote edits of a file against the last-synced base.
+ * A missing base (first sync of a file that differs on the two sides, such
+ * as every file synced before bases were kept) is never merged: the
+ * differences come back as conflicts.
+ *
+ * @returns {{ content: string, conflicts: number }}
+ */
+export function mergeSyncedFile(filePath, base, local, remote) {
+  const labels = { ours: `local ${filePath}`, theirs: `remote ${filePath}` };
+  if (base === null || base === undefined) return conflictWithoutBase(local, remote, labels);
+
+  const markdown = /\.(?:md|markdown)$/i.test(filePath);
+  return merge3(base, local, remote, {
+    ...labels,
+    resolve: markdown ? resolveMarkdown : undefined
+  });
+}
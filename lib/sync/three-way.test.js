@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { mergeSyncedFile, fileToSync } from './three-way.js';
+import { LocalStorageProvider } from './local-provider.js';
+import { tempProject } from '../test-helpers.js';
+
+const LOCAL = '# Memory\n\nShared paragraph about the project.\n\n## Decisions\n- Use ESM\n- Local decision\n';
+const REMOTE = '# Memory\n\nShared paragraph about the project.\n\n## Decisions\n- Use ESM\n- Remote decision\n';
+
+test('markdown additions at the same place are combined', () => {
+  const base = '# Memory\n\n## Decisions\n- Use ESM\n';
+  const { content, conflicts } = mergeSyncedFile('memory/MEMORY.md', base,
+    '# Memory\n\n## Decisions\n- Use ESM\n- Local decision\n',
+    '# Memory\n\n## Decisions\n- Use ESM\n- Remote decision\n');
+
+  assert.equal(conflicts, 0);
+  assert.equal(content, '# Memory\n\n## Decisions\n- Use ESM\n- Local decision\n- Remote decision\n');
+});
+
+test('without a base, differences conflict and shared lines appear once', () => {
+  const { content, conflicts } = mergeSyncedFile('memory/MEMORY.md', null, LOCAL, REMOTE);
+
+  assert.equal(conflicts, 1);
+  assert.equal(content.split('Shared paragraph about the project.').length, 2);
+  assert.equal(content.split('- Use ESM').length, 2);
+  assert.match(content, /<<<<<<< local memory\/MEMORY\.md\n- Local decision\n=======\n- Remote decision\n>>>>>>> remote/);
+});
+
+test('first sync after upgrading leaves both sides alone and writes a .conflict file', async (t) => {
+  const file = 'memory/MEMORY.md';
+  const project = tempProject(t, {
+    [file]: LOCAL,
+    // Synced by a version that kept no .sync/.base
+    [`.sync/${file}`]: REMOTE,
+    [`.sync/${file}.meta`]: JSON.stringify({ path: file })
+  });
+
+  const provider = new LocalStorageProvider({ projectPath: project });
+  const result = await provider.syncFile(file);
+
+  assert.equal(result.status, 'conflict');
+  assert.equal(await fs.readFile(path.join(project, file), 'utf-8'), LOCAL);
+  assert.equal(await fs.readFile(path.join(project, '.sync', file), 'utf-8'), REMOTE);
+  assert.match(await fs.readFile(path.join(project, `${file}.conflict`), 'utf-8'), /^<<<<<<< local/m);
+});
+
+test('deleting a .conflict file syncs the file it belongs to once resolved', async (t) => {
+  const project = tempProject(t, { 'memory/MEMORY.md': LOCAL, 'memory/MEMORY.md.conflict': 'markers' });
+  const files = ['memory/MEMORY.md'];
+
+  assert.equal(await fileToSync('memory/MEMORY.md', files, project), 'memory/MEMORY.md');
+  assert.equal(await fileToSync('memory/MEMORY.md.conflict', files, project), null);
+  await fs.rm(path.join(project, 'memory/MEMORY.md.conflict'));
+  assert.equal(await fileToSync('memory/MEMORY.md.conflict', files, project), 'memory/MEMORY.md');
+  assert.equal(await fileToSync('memory/OTHER.md.conflict', files, project), null);
+});
+
+test('a .sync directory outside the project is left alone', async (t) => {
+  const project = tempProject(t, { 'memory/MEMORY.md': LOCAL });
+  const elsewhere = tempProject(t, { '.sync/memory/MEMORY.md': REMOTE });
+  const warnings = [];
+  t.mock.method(console, 'warn', (message) => warnings.push(message));
+
+  const provider = new LocalStorageProvider({ projectPath: project, legacySyncDir: path.join(elsewhere, '.sync') });
+  await provider.syncFile('memory/MEMORY.md');
+  await provider.syncFile('memory/MEMORY.md');
+
+  assert.equal(await fs.readFile(path.join(elsewhere, '.sync/memory/MEMORY.md'), 'utf-8'), REMOTE);
+  assert.equal(await fs.readFile(path.join(project, '.sync/memory/MEMORY.md'), 'utf-8'), LOCAL);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /was left alone/);
+});
@@ -0,0 +1,39 @@
+/**
+ * Test Helpers
+ *
+ * Shared by the node:test suites in lib/ (npm test).
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * A temporary directory with the given files ({ 'rel/path': content }),
+ * removed when the test finishes
+ *
+ * @param {import('node:test').TestContext} t
+ * @param {Record<string, string>} [files]
+ * @returns {string} The directory
+ */
+export function tempProject(t, files = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agentbootup-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  writeFiles(dir, files);
+  return dir;
+}
+
+export function writeFiles(dir, files) {
+  for (const [rel, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, rel)), { recursive: true });
+    fs.writeFileSync(path.join(dir, rel), content);
+  }
+}
+
+export function read(dir, rel) {
+  return fs.readFileSync(path.join(dir, rel), 'utf-8');
+}
+
+export function exists(dir, rel) {
+  return fs.existsSync(path.join(dir, rel));
+}
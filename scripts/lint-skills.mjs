@@ -0,0 +1,178 @@
+// Skill linting for `sync-templates --lint`.
+//
+// Checks the .claude/ sources, since every platform copy is generated from them:
+//   - sections   SKILL.md has the ## Goal/Input/Output/Process sections the command,
+//                workflow and ai-dev-task generators read (skipped for auto_generate: false
+//                and for the skills in SECTIONS_EXEMPT)
+//   - references every @skills/<name> and .claude/agents/<file> reference resolves
+//   - links      reference.md exists when SKILL.md points at it, and its relative links resolve
+//   - platforms  text an adapter forbids in the skills it generates (adapter.lint.forbid),
+//                e.g. subagent instructions in Codex-bound skills
+//
+// Fenced code blocks are ignored: examples in them are not live references.
+
+import fs from 'fs';
+import path from 'path';
+import { SKILL_REF_PATTERN, PLACEHOLDER_PATTERN, listMarkdown, liveLines } from '../lib/bootup/references.js';
+
+const REQUIRED_SECTIONS = ['Goal', 'Input', 'Output', 'Process'];
+
+// Skills written before the section layout was required. Their generated files fall back
+// to the skill description. Remove a name once its SKILL.md has the sections (--lint warns
+// about names that no longer need the exemption); new skills must not be added.
+const SECTIONS_EXEMPT = new Set([
+  'adversarial-reviewer',
+  'agent-teams',
+  'api-integrator',
+  'brain-briefing',
+  'decision-review',
+  'design-system-from-reference',
+  'design-system-implementation',
+  'dev-workflow-orchestrator',
+  'dialectical-autocoder',
+  'frontend-design-concept',
+  'heartbeat-manager',
+  'info-processor',
+  'landing-page-generator',
+  'launch-checklist',
+  'memory-manager',
+  'pattern-extractor',
+  'prd-writer',
+  'production-readiness',
+  'runbook-generator',
+  'self-improvement',
+  'self-replicator',
+  'skill-creator',
+  'task-processor',
+  'task-processor-auto',
+  'task-processor-parallel',
+  'tasklist-generator',
+  'test-plan-generator',
+  'transcript-query',
+]);
+
+const AGENT_REF_PATTERN = /\.claude\/agents\/([A-Za-z0-9][\w.-]*)/g;
+const LINK_PATTERN = /\[[^\]]*\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g;
+const REFERENCE_MENTION_PATTERN = /(?<![\w/.-])reference\.md\b/;
+
+function lintSections(skillName, content, report, warn, { parseFrontmatter }) {
+  if (parseFrontmatter(content).auto_generate === false) return;
+  const missing = REQUIRED_SECTIONS.filter((s) => !new RegExp(`^## ${s}\\s*$`, 'm').test(content));
+  if (SECTIONS_EXEMPT.has(skillName)) {
+    if (missing.length === 0) warn(1, `Has every required section; remove ${skillName} from SECTIONS_EXEMPT in scripts/lint-skills.mjs`);
+    return;
+  }
+  if (missing.length > 0) {
+    report(1, `Missing section(s) ${missing.map((s) => `## ${s}`).join(', ')} (used to generate the ${skillName} command, workflow and ai-dev-task)`);
+  }
+}
+
+function lintReferences(lines, report, { skillsRoot, agentsRoot }) {
+  lines.forEach((line, idx) => {
+    for (const [ref, name] of line.matchAll(SKILL_REF_PATTERN)) {
+      if (PLACEHOLDER_PATTERN.test(name)) continue;
+      if (!fs.existsSync(path.join(skillsRoot, name))) report(idx + 1, `${ref} does not resolve (no .claude/skills/${name})`);
+    }
+    for (const [ref, name] of line.matchAll(AGENT_REF_PATTERN)) {
+      if (PLACEHOLDER_PATTERN.test(name)) continue;
+      const base = path.join(agentsRoot, name);
+      if (!fs.existsSync(base) && !fs.existsSync(`${base}.md`)) report(idx + 1, `${ref} does not resolve`);
+    }
+  });
+}
+
+// A link target's path, or null when it has a malformed % escape
+function decodePath(target) {
+  try {
+    return decodeURIComponent(target);
+  } catch {
+    return null;
+  }
+}
+
+function lintLinks(skillDir, skillLines, reportFor) {
+  const referencePath = path.join(skillDir, 'reference.md');
+  const hasReference = fs.existsSync(referencePath);
+
+  const mention = skillLines.findIndex((line) => REFERENCE_MENTION_PATTERN.test(line));
+  if (mention !== -1 && !hasReference) reportFor(path.join(skillDir, 'SKILL.md'))(mention + 1, 'Points to reference.md, which does not exist');
+  if (!hasReference) return;
+
+  const report = reportFor(referencePath);
+  liveLines(fs.readFileSync(referencePath, 'utf8')).forEach((line, idx) => {
+    for (const [, target] of line.matchAll(LINK_PATTERN)) {
+      if (/^(?:[a-z][a-z0-9+.-]*:|#)/i.test(target)) continue;
+      const file = decodePath(target.split('#')[0]);
+      if (file === null) report(idx + 1, `Dead link: ${target} (malformed % escape)`);
+      else if (file && !fs.existsSync(path.resolve(skillDir, file))) report(idx + 1, `Dead link: ${target}`);
+    }
+  });
+}
+
+function lintPlatforms(skillName, lines, report, { adapters, routing }) {
+  for (const adapter of adapters) {
+    const forbid = adapter.lint?.forbid || [];
+    const receivesSkill = adapter.artifacts.some((a) => a === 'skills' || a === 'skillFiles');
+    if (forbid.length === 0 || !receivesSkill || !routing.generates(adapter.name, skillName)) continue;
+
+    lines.forEach((line, idx) => {
+      // Lines the adapter drops anyway (lineFilters) never reach the platform
+      if ((adapter.lineFilters || []).some((drop) => drop(line))) return;
+      for (const [pattern, message] of forbid) {
+        if (pattern.test(line)) report(idx + 1, `${message} (${adapter.name} receives this skill)`);
+      }
+    });
+  }
+}
+
+/**
+ * Lint the .claude/ sources. Returns problems and warnings as `file:line: message` strings.
+ *
+ * @param {object} options
+ * @param {string} options.repoRoot - Paths in messages are relative to this
+ * @param {string} options.claudeRoot - templates/.claude
+ * @param {Array<object>} options.adapters - Platform adapters (for lint.forbid)
+ * @param {Function} options.parseFrontmatter - (content) => metadata
+ * @param {object} options.routing - Which platforms each skill is generated for ({ generates(platform, name) })
+ * @returns {{ problems: string[], warnings: string[] }}
+ */
+export function lintSkills({ repoRoot, claudeRoot, adapters, parseFrontmatter, routing }) {
+  const skillsRoot = path.join(claudeRoot, 'skills');
+  const agentsRoot = path.join(claudeRoot, 'agents');
+  const problems = [];
+  const warnings = [];
+
+  const reportTo = (list) => (absFile) => (line, message) => {
+    list.push(`${path.relative(repoRoot, absFile)}:${line}: ${message}`);
+  };
+  const reportFor = reportTo(problems);
+  const warnFor = reportTo(warnings);
+
+  const skillNames = fs.existsSync(skillsRoot)
+    ? fs.readdirSync(skillsRoot, { withFileTypes: true }).filter((d) => d.isDirectory()).map((d) => d.name).sort()
+    : [];
+
+  for (const skillName of skillNames) {
+    const skillDir = path.join(skillsRoot, skillName);
+    const skillMdPath = path.join(skillDir, 'SKILL.md');
+    if (!fs.existsSync(skillMdPath)) {
+      problems.push(`${path.relative(repoRoot, skillDir)}: Missing SKILL.md`);
+      continue;
+    }
+
+    const content = fs.readFileSync(skillMdPath, 'utf8');
+    const lines = liveLines(content);
+    const report = reportFor(skillMdPath);
+
+    lintSections(skillName, content, report, warnFor(skillMdPath), { parseFrontmatter });
+    lintLinks(skillDir, lines, reportFor);
+    lintPlatforms(skillName, lines, report, { adapters, routing });
+  }
+
+  // References can appear in any source: skill docs, agents and commands
+  for (const file of listMarkdown(claudeRoot)) {
+    lintReferences(liveLines(fs.readFileSync(file, 'utf8')), reportFor(file), { skillsRoot, agentsRoot });
+  }
+
+  return { problems, warnings };
+}
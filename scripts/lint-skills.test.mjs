@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { lintSkills } from './lint-skills.mjs';
+import { parseFrontmatter } from '../lib/bootup/frontmatter.js';
+import { tempProject } from '../lib/test-helpers.js';
+
+const SECTIONS = '## Goal\nG\n\n## Input\nI\n\n## Output\nO\n\n## Process\nP\n';
+const routing = { generates: () => true };
+
+function skill(name, body, frontmatter = '') {
+  return { [`.claude/skills/${name}/SKILL.md`]: `---\nname: ${name}\ndescription: ${name}\n${frontmatter}---\n\n# ${name}\n\n${body}` };
+}
+
+function lint(root) {
+  return lintSkills({
+    repoRoot: root,
+    claudeRoot: path.join(root, '.claude'),
+    adapters: [],
+    parseFrontmatter: (content) => parseFrontmatter(content).data,
+    routing
+  });
+}
+
+test('missing sections fail the lint', (t) => {
+  const root = tempProject(t, skill('new-skill', '## Goal\nG\n'));
+  const { problems } = lint(root);
+  assert.equal(problems.length, 1);
+  assert.match(problems[0], /new-skill\/SKILL\.md:1: Missing section\(s\) ## Input, ## Output, ## Process/);
+});
+
+test('auto_generate: false and exempt skills skip the section rule', (t) => {
+  const root = tempProject(t, {
+    ...skill('manual-skill', 'No sections\n', 'auto_generate: false\n'),
+    ...skill('prd-writer', '## Goal\nG\n')
+  });
+  assert.deepEqual(lint(root), { problems: [], warnings: [] });
+});
+
+test('an exempt skill that has every section is reported', (t) => {
+  const root = tempProject(t, skill('prd-writer', SECTIONS));
+  const { problems, warnings } = lint(root);
+  assert.deepEqual(problems, []);
+  assert.match(warnings[0], /remove prd-writer from SECTIONS_EXEMPT/);
+});
+
+test('a link with a malformed % escape is a dead link, not a crash', (t) => {
+  const root = tempProject(t, {
+    ...skill('new-skill', `${SECTIONS}\nSee reference.md\n`),
+    '.claude/skills/new-skill/reference.md': '# Reference\n\n[Progress](100%.md)\n'
+  });
+  const { problems } = lint(root);
+  assert.equal(problems.length, 1);
+  assert.match(problems[0], /reference\.md:3: Dead link: 100%\.md \(malformed % escape\)/);
+});
@@ -0,0 +1,126 @@
+// Drift tracking for hand-maintained platform copies of skills (`overrides:` in SKILL.md).
+//
+// templates/overrides.lock.json records, per platform and skill, the hash of the
+// .claude SKILL.md the override was last reconciled against, plus the hash and text
+// of each of its sections:
+//
+//   { "gemini": { "dialectical-autocoder": { "source": "<hash>",
+//       "sections": { "## Goal": { "hash": "<hash>", "text": "## Goal\n..." }, ... } } } }
+//
+// When the source moves on, --check warns and names the sections that changed upstream;
+// with --verbose it diffs each against the text the override was reconciled with.
+// After bringing the override up to date, `sync-templates --reconcile <skill>` records the
+// current source.
+
+import { hashContent } from '../lib/bootup/manifest.js';
+import { unifiedDiff } from '../lib/bootup/merge.js';
+
+export const LOCK_FILE = 'overrides.lock.json';
+
+const FRONTMATTER_SECTION = '(frontmatter)';
+const PREAMBLE_SECTION = '(preamble)';
+
+function hash(text) {
+  return hashContent(text.replace(/\r\n/g, '\n')).slice(0, 12);
+}
+
+/**
+ * SKILL.md split at its headings (outside fenced code blocks). Each section runs
+ * from its heading to the next one; repeated headings are numbered.
+ *
+ * @returns {Array<{ heading, text }>}
+ */
+export function splitSections(content) {
+  const lines = content.replace(/\r\n/g, '\n').split('\n');
+  const sections = [];
+  const seen = new Map();
+  let current = { heading: PREAMBLE_SECTION, lines: [] };
+  let fence = null;
+  let start = 0;
+
+  if (lines[0] === '---') {
+    const end = lines.indexOf('---', 1);
+    if (end !== -1) {
+      sections.push({ heading: FRONTMATTER_SECTION, text: lines.slice(0, end + 1).join('\n') });
+      start = end + 1;
+    }
+  }
+
+  const close = () => {
+    const text = current.lines.join('\n').trim();
+    if (current.heading === PREAMBLE_SECTION && !text) return;
+    const count = (seen.get(current.heading) || 0) + 1;
+    seen.set(current.heading, count);
+    sections.push({ heading: count === 1 ? current.heading : `${current.heading} (${count})`, text });
+  };
+
+  for (const line of lines.slice(start)) {
+    const marker = line.match(/^\s*(```|~~~)/);
+    if (marker) fence = fence === marker[1] ? null : (fence || marker[1]);
+    if (!fence && /^#{1,6}\s/.test(line)) {
+      close();
+      current = { heading: line.trim(), lines: [] };
+    }
+    current.lines.push(line);
+  }
+  close();
+
+  return sections;
+}
+
+/**
+ * What to record for an override reconciled against this SKILL.md
+ */
+export function lockEntry(content) {
+  return {
+    source: hash(content),
+    sections: Object.fromEntries(splitSections(content).map(({ heading, text }) => [heading, { hash: hash(text), text }])),
+  };
+}
+
+// Entries recorded before section text was kept hold a bare hash
+function recordedSection(entry, heading) {
+  const recorded = entry.sections?.[heading];
+  if (recorded === undefined) return undefined;
+  return typeof recorded === 'string' ? { hash: recorded, text: null } : recorded;
+}
+
+/**
+ * Sections of the SKILL.md that changed since the lock entry was recorded,
+ * in document order (removed ones last), with their current and reconciled text
+ * (null when the lock entry predates recorded text)
+ *
+ * @returns {Array<{ heading, change: 'changed'|'added'|'removed', text?, previous? }>}
+ */
+export function sectionChanges(entry, content) {
+  const current = splitSections(content);
+  const changes = [];
+
+  for (const { heading, text } of current) {
+    const recorded = recordedSection(entry, heading);
+    if (recorded === undefined) changes.push({ heading, change: 'added', text });
+    else if (recorded.hash !== hash(text)) changes.push({ heading, change: 'changed', text, previous: recorded.text });
+  }
+  const headings = new Set(current.map((s) => s.heading));
+  for (const heading of Object.keys(entry.sections || {})) {
+    if (!headings.has(heading)) changes.push({ heading, change: 'removed', previous: recordedSection(entry, heading).text });
+  }
+
+  return changes;
+}
+
+/**
+ * Unified diff of a section change, from the reconciled text to the current one.
+ * Without recorded text, the current text is shown as added.
+ */
+export function sectionDiff({ heading, text, previous }) {
+  const asFile = (t) => (t ? `${t}\n` : '');
+  return unifiedDiff(asFile(previous), asFile(text), {
+    oldLabel: `reconciled ${heading}`,
+    newLabel: `current ${heading}`,
+  });
+}
+
+export function isBehind(entry, content) {
+  return entry.source !== hash(content);
+}
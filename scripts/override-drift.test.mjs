@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lockEntry, sectionChanges, sectionDiff, isBehind } from './override-drift.mjs';
+
+const RECONCILED = '---\nname: demo\n---\n\n# Demo\n\n## Goal\nShip it.\n\n## Steps\n1. Plan\n2. Build\n';
+
+test('a changed section diffs against the text it was reconciled with', () => {
+  const entry = lockEntry(RECONCILED);
+  const current = RECONCILED.replace('2. Build\n', '2. Build\n3. Verify\n');
+
+  assert.ok(isBehind(entry, current));
+  const changes = sectionChanges(entry, current);
+  assert.deepEqual(changes.map((c) => [c.change, c.heading]), [['changed', '## Steps']]);
+  assert.equal(sectionDiff(changes[0]),
+    '--- reconciled ## Steps\n+++ current ## Steps\n@@ -1,3 +1,4 @@\n ## Steps\n 1. Plan\n 2. Build\n+3. Verify\n');
+});
+
+test('added and removed sections diff against nothing', () => {
+  const current = RECONCILED.replace('## Goal\nShip it.\n\n', '').concat('\n## Notes\nKeep it short.\n');
+  const changes = sectionChanges(lockEntry(RECONCILED), current);
+
+  assert.deepEqual(changes.map((c) => [c.change, c.heading]), [['added', '## Notes'], ['removed', '## Goal']]);
+  assert.match(sectionDiff(changes[0]), /^\+## Notes\n\+Keep it short\.\n$/m);
+  assert.match(sectionDiff(changes[1]), /^-## Goal\n-Ship it\.\n$/m);
+});
+
+test('entries recorded with bare section hashes still report changes', () => {
+  const entry = lockEntry(RECONCILED);
+  const legacy = { source: entry.source, sections: Object.fromEntries(Object.entries(entry.sections).map(([h, s]) => [h, s.hash])) };
+  const changes = sectionChanges(legacy, RECONCILED.replace('Ship it.', 'Ship it today.'));
+
+  assert.deepEqual(changes.map((c) => [c.change, c.heading, c.previous]), [['changed', '## Goal', null]]);
+  assert.match(sectionDiff(changes[0]), /^\+Ship it today\.$/m);
+});
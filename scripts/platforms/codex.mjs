@@ -0,0 +1,44 @@
+// OpenAI Codex: skills that declare the codex platform, under .codex/skills/.
+
+// Codex supports skills but not Claude-style subagents, so skills opt in with
+// `platforms: [..., codex]`. Skills that do not declare platforms yet keep the
+// set that was validated for Codex before declarations existed; --check names
+// them until they declare platforms:, and the list goes once it names none.
+const LEGACY_SKILLS = new Set([
+  'changelog-manager',
+  'dev-workflow-orchestrator',
+  'pr-review-loop',
+  'prd-writer',
+  'production-readiness',
+  'runbook-generator',
+  'task-processor',
+  'task-processor-auto',
+  'tasklist-generator',
+  'test-plan-generator',
+  'user-journey-mapper',
+  'user-story-generator',
+]);
+
+export default {
+  name: 'codex',
+  root: '.codex',
+  artifacts: ['skills'],
+  pathRewrites: [[/\.claude\/skills\//g, '.codex/skills/']],
+  // Branding where it is explicitly Claude Code
+  brandingRewrites: [[/\bClaude Code\b/g, 'Codex']],
+  // Codex does not use Claude-style subagents.
+  // Drop standalone agent-reference lines rather than leaving broken paths.
+  // Note: this is intentionally conservative; if a future doc line combines an agent reference
+  // with other content, prefer splitting that line in the source template.
+  lineFilters: [(line) => line.includes('.claude/agents/')],
+  undeclared: {
+    includeSkill: (name) => LEGACY_SKILLS.has(name),
+  },
+  check: {
+    managedRoots: ['skills'],
+    prune: true,
+  },
+  lint: {
+    forbid: [[/\bsub-?agents?\b/i, 'Mentions subagents, which Codex does not support']],
+  },
+};
@@ -0,0 +1,78 @@
+// GitHub Copilot (VS Code): one prompt file per skill in .github/prompts/ and
+// one custom chat mode per agent in .github/chatmodes/.
+
+// Claude Code tools → the closest Copilot built-in tool sets
+const TOOL_MAP = {
+  Read: 'codebase',
+  Glob: 'codebase',
+  Grep: 'search',
+  Write: 'editFiles',
+  Edit: 'editFiles',
+  MultiEdit: 'editFiles',
+  Bash: 'runCommands',
+  WebFetch: 'fetch',
+  WebSearch: 'fetch',
+};
+
+function mapTools(value) {
+  // A list or a comma-separated string ("Read, Write, Bash")
+  if (!value) return [];
+  const tools = (Array.isArray(value) ? value : String(value).split(','))
+    .map((t) => TOOL_MAP[String(t).trim()])
+    .filter(Boolean);
+  return [...new Set(tools)];
+}
+
+function renderPrompt(skillName, skillContent, { transform, parseFrontmatter, stripFrontmatter }) {
+  const metadata = parseFrontmatter(skillContent);
+  const description = metadata.description || `Run the ${skillName} skill`;
+
+  return `---
+mode: agent
+description: ${JSON.stringify(description)}
+---
+<!-- AUTO-GENERATED from .claude/skills/${skillName}/SKILL.md -->
+
+${transform(stripFrontmatter(skillContent)).trim()}
+`;
+}
+
+function renderChatMode(agentName, agentContent, { transform, parseFrontmatter, stripFrontmatter, titleCase }) {
+  const metadata = parseFrontmatter(agentContent);
+  const description = metadata.description || `${titleCase(agentName)} agent`;
+  const tools = mapTools(metadata.tools);
+  const toolsYaml = tools.length > 0 ? `\ntools: [${tools.map((t) => `'${t}'`).join(', ')}]` : '';
+
+  return `---
+description: ${JSON.stringify(description)}${toolsYaml}
+---
+<!-- AUTO-GENERATED from .claude/agents/${agentName}.md -->
+
+${transform(stripFrontmatter(agentContent)).trim()}
+`;
+}
+
+export default {
+  name: 'copilot',
+  root: '.github',
+  artifacts: ['skillFiles', 'agentFiles'],
+  // Copilot has no skill or agent directories; point references at the generated files.
+  pathRewrites: [
+    [/\.claude\/skills\/([\w.-]+)\/SKILL\.md/g, '.github/prompts/$1.prompt.md'],
+    [/\.claude\/agents\/([\w.-]+)\.md/g, '.github/chatmodes/$1.chatmode.md'],
+  ],
+  brandingRewrites: [[/\bClaude Code\b/g, 'GitHub Copilot']],
+  lineFilters: [],
+  skillFile: {
+    path: (skillName) => `prompts/${skillName}.prompt.md`,
+    render: renderPrompt,
+  },
+  agentFile: {
+    path: (agentName) => `chatmodes/${agentName}.chatmode.md`,
+    render: renderChatMode,
+  },
+  check: {
+    managedRoots: ['prompts', 'chatmodes'],
+    prune: true,
+  },
+};
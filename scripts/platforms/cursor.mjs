@@ -0,0 +1,53 @@
+// Cursor: one project rule (.cursor/rules/<skill>.mdc) per skill.
+
+const HAND_MAINTAINED_RULES = new Set([
+  // Skill discovery rule, written by hand (not generated from a SKILL.md)
+  'agentbootup-skills.mdc',
+]);
+
+function parseGlobs(value) {
+  // Accept a list, "a, b" or a single glob.
+  if (!value) return [];
+  const globs = Array.isArray(value) ? value : String(value).split(',');
+  return globs.map((g) => String(g).trim()).filter(Boolean);
+}
+
+function renderRule(skillName, skillContent, { transform, parseFrontmatter, stripFrontmatter }) {
+  const metadata = parseFrontmatter(skillContent);
+  const description = metadata.description || `Run the ${skillName} skill`;
+  const globs = parseGlobs(metadata.globs);
+  // Rules are agent-requested (matched on description) unless the skill opts into
+  // auto-attaching via globs or into always being loaded.
+  const alwaysApply = metadata.always_apply === true;
+
+  const globsYaml = globs.length > 0 ? `globs:\n${globs.map((g) => `  - "${g}"`).join('\n')}` : 'globs:';
+
+  return `---
+description: ${JSON.stringify(description)}
+${globsYaml}
+alwaysApply: ${alwaysApply}
+---
+<!-- AUTO-GENERATED from .claude/skills/${skillName}/SKILL.md -->
+
+${transform(stripFrontmatter(skillContent)).trim()}
+`;
+}
+
+export default {
+  name: 'cursor',
+  root: '.cursor/rules',
+  artifacts: ['skillFiles'],
+  pathRewrites: [],
+  brandingRewrites: [[/\bClaude Code\b/g, 'Cursor']],
+  // Cursor has no subagents; drop agent-reference lines like the Codex transform.
+  lineFilters: [(line) => line.includes('.claude/agents/')],
+  skillFile: {
+    path: (skillName) => `${skillName}.mdc`,
+    render: renderRule,
+  },
+  check: {
+    managedRoots: ['.'],
+    allowExtra: (rel) => HAND_MAINTAINED_RULES.has(rel),
+    prune: true,
+  },
+};
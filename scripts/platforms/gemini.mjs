@@ -0,0 +1,28 @@
+// Gemini CLI: agents and skills mirrored from .claude/ with Gemini paths and branding.
+
+// Gemini versions differ materially from Claude versions; maintained by hand in .gemini/skills/.
+// Only consulted for skills whose SKILL.md does not declare `overrides:`; --check
+// names them until they do, and the list goes once it names none.
+const LEGACY_OVERRIDES = new Set([
+  'dialectical-autocoder',
+  'task-processor-parallel',
+]);
+
+export default {
+  name: 'gemini',
+  root: '.gemini',
+  artifacts: ['agents', 'skills'],
+  pathRewrites: [[/\.claude\//g, '.gemini/']],
+  // Minimal + intentionally conservative
+  brandingRewrites: [
+    [/\bClaude Code\b/g, 'Gemini CLI'],
+    [/\bClaude\b(?=\s+is\s+capable\b)/g, 'Gemini'],
+  ],
+  lineFilters: [],
+  undeclared: {
+    override: (name) => LEGACY_OVERRIDES.has(name),
+  },
+  check: {
+    managedRoots: ['agents', 'skills'],
+  },
+};
@@ -0,0 +1,75 @@
+// templates/SKILLS_INDEX.md, rendered from the skills catalog that sync-templates builds
+// out of SKILL.md frontmatter (templates/skills.json holds the same catalog for bootup).
+//
+// Skills are grouped by their `category`; a platform matrix shows where each one ships.
+// Links are relative to the project root, where the index is installed.
+
+export const INDEX_HEADER = '<!-- AUTO-GENERATED from .claude/skills/*/SKILL.md by npm run sync-templates; edit the frontmatter, not this file -->';
+
+const UNCATEGORIZED = 'uncategorized';
+
+// Markdown table cells cannot contain pipes or line breaks
+function cell(text) {
+  return String(text ?? '').replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|');
+}
+
+function anchor(heading) {
+  return heading.toLowerCase().replace(/[^a-z0-9 -]/g, '').replace(/ /g, '-');
+}
+
+function groupByCategory(skills) {
+  const groups = new Map();
+  for (const skill of skills) {
+    const category = skill.category || UNCATEGORIZED;
+    if (!groups.has(category)) groups.set(category, []);
+    groups.get(category).push(skill);
+  }
+  // Alphabetical, with skills that have no category last
+  return [...groups.entries()].sort(([a], [b]) =>
+    (a === UNCATEGORIZED) - (b === UNCATEGORIZED) || a.localeCompare(b));
+}
+
+/**
+ * @param {{ platforms: string[], skills: object[] }} catalog - as written to skills.json
+ * @param {{ titleCase(str): string }} helpers
+ */
+export function renderSkillsIndex(catalog, { titleCase }) {
+  const groups = groupByCategory(catalog.skills);
+  const out = [
+    INDEX_HEADER,
+    '# Skills Index',
+    '',
+    `All ${catalog.skills.length} agentbootup skills, grouped by the \`category\` in their SKILL.md frontmatter. ` +
+      'Search them from a terminal with `npx agentbootup search <term>`.',
+    '',
+    '## Categories',
+    '',
+    ...groups.map(([category, skills]) => `- [${titleCase(category)}](#${anchor(titleCase(category))}) (${skills.length})`),
+    '- [Platform matrix](#platform-matrix)',
+  ];
+
+  for (const [category, skills] of groups) {
+    out.push('', `## ${titleCase(category)}`, '', '| Skill | Description | Command | Workflow |', '|-------|-------------|---------|----------|');
+    for (const skill of skills) {
+      const command = skill.command ? `[/${skill.name}](${skill.command})` : '';
+      const workflow = skill.workflow ? `[${skill.name}](${skill.workflow})` : '';
+      out.push(`| [\`${skill.name}\`](.claude/skills/${skill.name}/SKILL.md) | ${cell(skill.description)} | ${command} | ${workflow} |`);
+    }
+  }
+
+  out.push(
+    '',
+    '## Platform matrix',
+    '',
+    '✓ generated from the Claude skill · ✎ maintained by hand for that platform',
+    '',
+    `| Skill | ${catalog.platforms.join(' | ')} |`,
+    `|-------|${catalog.platforms.map(() => ':-:').join('|')}|`,
+  );
+  for (const skill of [...catalog.skills].sort((a, b) => a.name.localeCompare(b.name))) {
+    const marks = catalog.platforms.map((p) => (skill.overrides.includes(p) ? '✎' : skill.platforms.includes(p) ? '✓' : ''));
+    out.push(`| \`${skill.name}\` | ${marks.join(' | ')} |`);
+  }
+
+  return `${out.join('\n')}\n`;
+}
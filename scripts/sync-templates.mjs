@@ -3,7 +3,24 @@
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
+import {
+  parseFrontmatter as parseFrontmatterDocument,
+  stripFrontmatter,
+  validateFrontmatter,
+  formatProblem,
+  SKILL_SCHEMA,
+  AGENT_SCHEMA,
+} from '../lib/bootup/frontmatter.js';
+import { readDependencyGraph, validateDependencyGraph, ignoredRequirements } from '../lib/bootup/dependencies.js';
+import { hashContent } from '../lib/bootup/manifest.js';
+import { CATALOG_FILE } from '../lib/bootup/catalog.js';
+import { budgetReport, formatBudgetReport, isContextFile, DEFAULT_MAX_TOKENS } from '../lib/bootup/budget.js';
+import { relToCategory } from '../lib/bootup/installer.js';
+import { fragmentTarget } from '../lib/bootup/fragments.js';
+import { lintSkills } from './lint-skills.mjs';
+import { renderSkillsIndex } from './skills-index.mjs';
+import { LOCK_FILE, lockEntry, sectionChanges, sectionDiff, isBehind } from './override-drift.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,35 +29,33 @@ const repoRoot = path.resolve(__dirname, '..');
 const templatesRoot = path.join(repoRoot, 'templates');
 
 const CLAUDE_ROOT = path.join(templatesRoot, '.claude');
-const GEMINI_ROOT = path.join(templatesRoot, '.gemini');
-const CODEX_ROOT = path.join(templatesRoot, '.codex');
-
-const GEMINI_SKILL_OVERRIDES = new Set([
-  // Gemini versions differ materially from Claude versions
-  'dialectical-autocoder',
-  'task-processor-parallel',
-]);
-
-const CODEX_SKILLS_ALLOWLIST = new Set([
-  // Codex supports skills but not Claude-style subagents.
-  // Keep this list small and only include skills we validate.
-  'changelog-manager',
-  'dev-workflow-orchestrator',
-  'pr-review-loop',
-  'prd-writer',
-  'production-readiness',
-  'runbook-generator',
-  'task-processor',
-  'task-processor-auto',
-  'tasklist-generator',
-  'test-plan-generator',
-  'user-journey-mapper',
-  'user-story-generator',
-]);
+const PLATFORMS_DIR = path.join(__dirname, 'platforms');
+
+// What an adapter can generate from the .claude/ sources:
+//   agents      .claude/agents/**        copied to <root>/agents/**
+//   skills      .claude/skills/<name>/** copied to <root>/skills/<name>/**
+//   skillFiles  one file per SKILL.md, rendered by adapter.skillFile
+//   agentFiles  one file per agent, rendered by adapter.agentFile
+const ARTIFACT_TYPES = ['agents', 'skills', 'skillFiles', 'agentFiles'];
+
+// Platforms a SKILL.md can name in platforms:/overrides: besides the adapters.
+// claude gets the generated command, windsurf the generated workflow.
+const BUILTIN_PLATFORMS = ['claude', 'windsurf'];
 
 function parseArgs(argv) {
+  const maxTokensAt = argv.indexOf('--max-tokens');
+  const maxTokens = maxTokensAt === -1 ? DEFAULT_MAX_TOKENS : Number(argv[maxTokensAt + 1]);
+  if (!Number.isInteger(maxTokens) || maxTokens <= 0) {
+    throw new Error(`--max-tokens needs a positive whole number, got ${argv[maxTokensAt + 1]}`);
+  }
+  const reconcileAt = argv.indexOf('--reconcile');
   return {
+    // Skills whose overrides were brought up to date with their source
+    reconcile: reconcileAt === -1 ? [] : (argv[reconcileAt + 1] || '').split(',').map((s) => s.trim()).filter(Boolean),
     check: argv.includes('--check'),
+    lint: argv.includes('--lint'),
+    budget: argv.includes('--budget'),
+    maxTokens,
     verbose: argv.includes('--verbose'),
   };
 }
@@ -97,70 +112,264 @@ function normalizeNewlines(s) {
 }
 
 
-function transformForGemini(content) {
-  let out = normalizeNewlines(content);
+/**
+ * Load the platform adapters in scripts/platforms/*.mjs. Each default-exports:
+ *
+ *   name              platform name used in messages
+ *   root              destination root, relative to templates/
+ *   artifacts         ARTIFACT_TYPES this platform gets
+ *   pathRewrites      [[RegExp, replacement], ...] applied first
+ *   lineFilters       [(line) => boolean, ...] lines to drop
+ *   brandingRewrites  [[RegExp, replacement], ...] applied last
+ *   undeclared        optional defaults for skills whose SKILL.md does not declare
+ *                     platforms:/overrides: { includeSkill?(name), override?(name) }
+ *   skillFile         { path(name), render(name, content, helpers) } for skillFiles
+ *   agentFile         { path(name), render(name, content, helpers) } for agentFiles
+ *   check             { managedRoots: [dir relative to root], allowExtra?(rel), prune? }; files
+ *                     under a managed root that the adapter does not generate are reported by
+ *                     --check unless allowExtra says they are maintained by hand, and removed
+ *                     on write when prune is set
+ *   lint              optional { forbid: [[RegExp, message], ...] }; --lint reports matching
+ *                     lines in the skills this platform receives
+ */
+async function loadPlatformAdapters() {
+  const files = fs.readdirSync(PLATFORMS_DIR).filter((f) => f.endsWith('.mjs')).sort();
+  const adapters = [];
+
+  for (const file of files) {
+    const adapter = (await import(pathToFileURL(path.join(PLATFORMS_DIR, file)).href)).default;
+    const problems = [];
+    if (!adapter?.name) problems.push('missing name');
+    if (!adapter?.root) problems.push('missing root');
+    const artifacts = adapter?.artifacts || [];
+    if (artifacts.length === 0) problems.push('no artifacts');
+    for (const type of artifacts) {
+      if (!ARTIFACT_TYPES.includes(type)) problems.push(`unknown artifact type "${type}" (known: ${ARTIFACT_TYPES.join(', ')})`);
+    }
+    if (artifacts.includes('skillFiles') && !adapter.skillFile) problems.push('skillFiles needs a skillFile renderer');
+    if (artifacts.includes('agentFiles') && !adapter.agentFile) problems.push('agentFiles needs an agentFile renderer');
+    if (!adapter?.check?.managedRoots) problems.push('missing check.managedRoots');
+    if (problems.length > 0) throw new Error(`Invalid platform adapter scripts/platforms/${file}: ${problems.join('; ')}`);
 
-  // Path references
-  out = out.replace(/\.claude\//g, '.gemini/');
+    adapters.push(adapter);
+  }
 
-  // Branding (minimal + intentionally conservative)
-  out = out.replace(/\bClaude Code\b/g, 'Gemini CLI');
-  out = out.replace(/\bClaude\b(?=\s+is\s+capable\b)/g, 'Gemini');
+  return adapters;
+}
 
-  return out;
+function createTransform(adapter) {
+  return (content) => {
+    let out = normalizeNewlines(content);
+    for (const [pattern, replacement] of adapter.pathRewrites || []) out = out.replace(pattern, replacement);
+    if (adapter.lineFilters?.length) {
+      out = out
+        .split('\n')
+        .filter((line) => !adapter.lineFilters.some((drop) => drop(line)))
+        .join('\n');
+    }
+    for (const [pattern, replacement] of adapter.brandingRewrites || []) out = out.replace(pattern, replacement);
+    return out;
+  };
 }
 
-function transformForCodex(content) {
-  let out = normalizeNewlines(content);
+// Sources are validated up front (validateSources), so this only needs the data.
+// Block scalars (description: >) end in a newline that generated files don't want.
+function parseFrontmatter(content) {
+  const { data } = parseFrontmatterDocument(content);
+  return Object.fromEntries(Object.entries(data).map(([k, v]) => [k, typeof v === 'string' ? v.trim() : v]));
+}
 
-  // Codex skills live under .codex/skills.
-  out = out.replace(/\.claude\/skills\//g, '.codex/skills/');
+// Header of commands, workflows and ai-dev-tasks generated from a SKILL.md. The hash
+// records which version of the source the file was generated from; deleting the
+// header marks the file as hand-maintained and sync leaves it alone.
+const GENERATED_HEADER_PATTERN = /^<!-- AUTO-GENERATED from (\S+)(?: \(source sha256:([0-9a-f]+)\))? -->/;
 
-  // Codex does not use Claude-style subagents.
-  // Drop standalone agent-reference lines rather than leaving broken paths.
-  // Note: this is intentionally conservative; if a future doc line combines an agent reference
-  // with other content, prefer splitting that line in the source template.
-  out = out
-    .split('\n')
-    .filter((line) => !line.includes('.claude/agents/'))
-    .join('\n');
+function sourceHash(content) {
+  return hashContent(normalizeNewlines(content)).slice(0, 12);
+}
 
-  // Branding where it is explicitly Claude Code
-  out = out.replace(/\bClaude Code\b/g, 'Codex');
+function generatedHeader(skillName, skillContent) {
+  return `<!-- AUTO-GENERATED from .claude/skills/${skillName}/SKILL.md (source sha256:${sourceHash(skillContent)}) -->`;
+}
 
-  return out;
+function shouldAutoGenerate(skillContent) {
+  const metadata = parseFrontmatter(skillContent);
+  // Default to true if not specified
+  return metadata.auto_generate !== false;
 }
 
-function parseFrontmatter(content) {
-  // Extract YAML frontmatter from markdown
-  const match = content.match(/^---\n([\s\S]*?)\n---/);
-  if (!match) return {};
+// Validate the frontmatter of every .claude/skills/*/SKILL.md against SKILL_SCHEMA and
+// every agent against AGENT_SCHEMA, then the requires: graph between them (declared on the .claude
+// sources; a platform copy's differing requires: would be ignored). Problems are `file:line: message`
+// strings; a file that does not parse is fatal because nothing can be generated from it.
+function validateSources(adapters) {
+  const srcSkillsRoot = path.join(CLAUDE_ROOT, 'skills');
+  const srcAgents = path.join(CLAUDE_ROOT, 'agents');
+  const problems = [];
+  let fatal = false;
+
+  const parse = (absFile) => {
+    try {
+      return parseFrontmatterDocument(readUtf8(absFile), { file: path.relative(repoRoot, absFile) });
+    } catch (err) {
+      problems.push(err.message);
+      fatal = true;
+      return null;
+    }
+  };
 
-  const yaml = match[1];
-  const metadata = {};
+  for (const skillName of listChildDirs(srcSkillsRoot)) {
+    const skillMdPath = path.join(srcSkillsRoot, skillName, 'SKILL.md');
+    if (!isFile(skillMdPath)) continue;
+    const parsed = parse(skillMdPath);
+    if (!parsed) continue;
+
+    const file = path.relative(repoRoot, skillMdPath);
+    const { data, hasFrontmatter } = parsed;
+    const found = validateFrontmatter(data, SKILL_SCHEMA, { file, hasFrontmatter });
+    if (typeof data.name === 'string' && data.name !== skillName) {
+      found.push({ file, line: data.__lines.name, message: `"name" is "${data.name}" but the skill directory is "${skillName}"` });
+    }
+    found.push(...validatePlatformDeclarations(data, file, adapters));
+    problems.push(...found.map(formatProblem));
+  }
 
-  for (const line of yaml.split('\n')) {
-    const [key, ...valueParts] = line.split(':');
-    if (key && valueParts.length > 0) {
-      const value = valueParts.join(':').trim();
-      metadata[key.trim()] = value;
+  if (isDirectory(srcAgents)) {
+    for (const agentFile of listFilesRecursively(srcAgents)) {
+      if (!agentFile.endsWith('.md')) continue;
+      const parsed = parse(agentFile);
+      if (!parsed) continue;
+      const file = path.relative(repoRoot, agentFile);
+      problems.push(...validateFrontmatter(parsed.data, AGENT_SCHEMA, { file }).map(formatProblem));
     }
   }
 
-  return metadata;
+  // requires: must name existing skills or agents, without cycles
+  if (!fatal) {
+    const graph = readDependencyGraph([templatesRoot], { platforms: ['.claude'], relativeTo: repoRoot });
+    problems.push(...validateDependencyGraph(graph).map(formatProblem));
+    problems.push(...ignoredRequirements(templatesRoot, { relativeTo: repoRoot }).map(formatProblem));
+  }
+
+  return { problems, fatal };
 }
 
-function shouldAutoGenerate(skillContent) {
-  const metadata = parseFrontmatter(skillContent);
-  // Default to true if not specified
-  return metadata.auto_generate !== 'false';
+function validatePlatformDeclarations(data, file, adapters) {
+  const known = [...BUILTIN_PLATFORMS, ...adapters.map((a) => a.name)];
+  const problems = [];
+  for (const key of ['platforms', 'overrides']) {
+    if (!Array.isArray(data[key])) continue;
+    for (const platform of data[key].filter((p) => !known.includes(p))) {
+      problems.push({ file, line: data.__lines[key], message: `Unknown platform "${platform}" in ${key} (known: ${known.join(', ')})` });
+    }
+  }
+  if (Array.isArray(data.platforms) && Array.isArray(data.overrides)) {
+    for (const platform of data.overrides.filter((p) => !data.platforms.includes(p))) {
+      problems.push({ file, line: data.__lines.overrides, message: `"${platform}" is overridden but not listed in platforms` });
+    }
+  }
+  return problems;
+}
+
+/**
+ * Which platforms get each skill, from its `platforms:` and `overrides:` frontmatter.
+ * An overridden platform keeps a hand-maintained copy that sync neither writes nor
+ * removes. Skills without a declaration go to every platform, unless the adapter's
+ * `undeclared` defaults say otherwise.
+ */
+function loadSkillRouting(adapters) {
+  const srcSkillsRoot = path.join(CLAUDE_ROOT, 'skills');
+  const declarations = new Map();
+  for (const skillName of listChildDirs(srcSkillsRoot)) {
+    const skillMdPath = path.join(srcSkillsRoot, skillName, 'SKILL.md');
+    if (!isFile(skillMdPath)) continue;
+    const { platforms, overrides } = parseFrontmatter(readUtf8(skillMdPath));
+    declarations.set(skillName, {
+      platforms: Array.isArray(platforms) ? platforms : null,
+      overrides: Array.isArray(overrides) ? overrides : null,
+    });
+  }
+  const byName = new Map(adapters.map((a) => [a.name, a]));
+
+  const overridden = (platform, skillName) => {
+    const overrides = declarations.get(skillName)?.overrides;
+    if (overrides) return overrides.includes(platform);
+    return Boolean(byName.get(platform)?.undeclared?.override?.(skillName));
+  };
+
+  const declared = (platform, skillName) => {
+    const platforms = declarations.get(skillName)?.platforms;
+    if (platforms) return platforms.includes(platform);
+    const includeSkill = byName.get(platform)?.undeclared?.includeSkill;
+    return includeSkill ? includeSkill(skillName) : true;
+  };
+
+  return {
+    declarations,
+    declared,
+    overridden,
+    // Sync generates this platform's copy of the skill
+    generates: (platform, skillName) => declared(platform, skillName) && !overridden(platform, skillName),
+  };
+}
+
+// Paths (relative to the adapter root) of a skill's copy on this platform
+function skillPaths(adapter, skillName) {
+  const paths = [];
+  if (adapter.artifacts.includes('skills')) paths.push(`skills/${skillName}`);
+  if (adapter.artifacts.includes('skillFiles')) paths.push(adapter.skillFile.path(skillName));
+  return paths;
+}
+
+// Warnings for skills that declare a platform whose copy does not exist
+function checkDeclaredPlatforms(adapters, routing) {
+  const warnings = [];
+  const byName = new Map(adapters.map((a) => [a.name, a]));
+
+  for (const [skillName, { platforms }] of routing.declarations) {
+    if (!platforms) continue;
+    for (const platform of platforms) {
+      const adapter = byName.get(platform);
+      const copies = adapter
+        ? skillPaths(adapter, skillName).map((rel) => path.join(templatesRoot, adapter.root, rel))
+        : SUPPORTING_FILES.filter(([, , , served]) => served === platform).map(([, dir]) => path.join(dir, `${skillName}.md`));
+      for (const copy of copies.filter((c) => !fs.existsSync(c))) {
+        const how = routing.overridden(platform, skillName) ? 'overridden, so it must be maintained by hand' : 'run npm run sync-templates';
+        warnings.push(`${skillName} declares platform ${platform} but ${path.relative(repoRoot, copy)} is missing (${how})`);
+      }
+    }
+  }
+
+  return warnings;
+}
+
+// Skills routed by an adapter's `undeclared` list rather than their own frontmatter,
+// with the declaration that keeps the routing once the list is gone
+function checkUndeclaredRouting(adapters, routing) {
+  const warnings = [];
+  const platforms = [...BUILTIN_PLATFORMS, ...adapters.map((a) => a.name)];
+
+  for (const [skillName, declaration] of routing.declarations) {
+    const missing = [];
+    if (!declaration.platforms && adapters.some((a) => a.undeclared?.includeSkill?.(skillName))) {
+      missing.push(`platforms: [${platforms.filter((p) => routing.declared(p, skillName)).join(', ')}]`);
+    }
+    if (!declaration.overrides && adapters.some((a) => a.undeclared?.override?.(skillName))) {
+      missing.push(`overrides: [${platforms.filter((p) => routing.overridden(p, skillName)).join(', ')}]`);
+    }
+    if (missing.length > 0) {
+      warnings.push(`${skillName} is routed by a list in scripts/platforms/; declare ${missing.join(' and ')} in .claude/skills/${skillName}/SKILL.md`);
+    }
+  }
+
+  return warnings;
 }
 
 function generateCommand(skillName, skillContent) {
   const metadata = parseFrontmatter(skillContent);
   const description = metadata.description || `Run the ${skillName} skill`;
 
-  return `<!-- AUTO-GENERATED from .claude/skills/${skillName}/SKILL.md -->
+  return `${generatedHeader(skillName, skillContent)}
 ---
 name: ${skillName}
 description: ${description}
@@ -203,7 +412,7 @@ function generateWorkflow(skillName, skillContent) {
   const inputSection = inputMatch ? inputMatch[1].trim() : 'See skill documentation';
   const outputSection = outputMatch ? outputMatch[1].trim() : 'See skill documentation';
 
-  return `<!-- AUTO-GENERATED from .claude/skills/${skillName}/SKILL.md -->
+  return `${generatedHeader(skillName, skillContent)}
 # ${titleCase(skillName)}
 
 ${description.charAt(0).toUpperCase() + description.slice(1)}.
@@ -240,7 +449,7 @@ function generateAiDevTask(skillName, skillContent) {
   const output = outputMatch ? outputMatch[1].trim() : 'See documentation';
   const process = processMatch ? processMatch[1].trim() : 'See SKILL.md';
 
-  return `<!-- AUTO-GENERATED from .claude/skills/${skillName}/SKILL.md -->
+  return `${generatedHeader(skillName, skillContent)}
 # Rule: ${titleCase(skillName)}
 
 ## Goal
@@ -268,24 +477,16 @@ function titleCase(str) {
     .join(' ');
 }
 
-function buildExpectedOutputs({ platform, mode }) {
-  // mode: 'write' | 'check'
+function buildExpectedOutputs(adapter, routing) {
   const expectedFiles = new Map();
   const expectedDirs = new Set();
 
-  const platformRoot =
-    platform === 'gemini'
-      ? GEMINI_ROOT
-      : platform === 'codex'
-        ? CODEX_ROOT
-        : CLAUDE_ROOT;
-
-  const transform =
-    platform === 'gemini'
-      ? transformForGemini
-      : platform === 'codex'
-        ? transformForCodex
-        : (s) => normalizeNewlines(s);
+  const platformRoot = path.join(templatesRoot, adapter.root);
+  const transform = createTransform(adapter);
+  const helpers = { transform, parseFrontmatter, stripFrontmatter, titleCase };
+  const includeSkill = (skillName) => routing.generates(adapter.name, skillName);
+  const srcAgents = path.join(CLAUDE_ROOT, 'agents');
+  const srcSkillsRoot = path.join(CLAUDE_ROOT, 'skills');
 
   const addDir = (absDir) => expectedDirs.add(absDir);
 
@@ -294,60 +495,46 @@ function buildExpectedOutputs({ platform, mode }) {
     addDir(path.dirname(absFile));
   };
 
-  // Agents
-  if (platform === 'gemini') {
-    const srcAgents = path.join(CLAUDE_ROOT, 'agents');
-    const destAgents = path.join(GEMINI_ROOT, 'agents');
-
-    for (const srcFile of listFilesRecursively(srcAgents)) {
-      const rel = path.relative(srcAgents, srcFile);
-      const destFile = path.join(destAgents, rel);
+  const copyTree = (srcDir, destDir) => {
+    for (const srcFile of listFilesRecursively(srcDir)) {
+      const destFile = path.join(destDir, path.relative(srcDir, srcFile));
       const srcContent = readUtf8(srcFile);
-      const rendered = srcFile.endsWith('.md') ? transform(srcContent) : srcContent;
-      addFile(destFile, rendered);
+      addFile(destFile, srcFile.endsWith('.md') ? transform(srcContent) : srcContent);
     }
-  }
+  };
 
-  // Skills
-  if (platform === 'gemini') {
-    const srcSkillsRoot = path.join(CLAUDE_ROOT, 'skills');
-    const destSkillsRoot = path.join(GEMINI_ROOT, 'skills');
+  if (adapter.artifacts.includes('agents') && isDirectory(srcAgents)) {
+    copyTree(srcAgents, path.join(platformRoot, 'agents'));
+  }
 
+  if (adapter.artifacts.includes('skills')) {
     for (const skillName of listChildDirs(srcSkillsRoot)) {
-      if (GEMINI_SKILL_OVERRIDES.has(skillName)) continue;
-
-      const srcSkillDir = path.join(srcSkillsRoot, skillName);
-      const destSkillDir = path.join(destSkillsRoot, skillName);
+      if (!includeSkill(skillName)) continue;
+      const destSkillDir = path.join(platformRoot, 'skills', skillName);
       addDir(destSkillDir);
-
-      for (const srcFile of listFilesRecursively(srcSkillDir)) {
-        const rel = path.relative(srcSkillDir, srcFile);
-        const destFile = path.join(destSkillDir, rel);
-        const srcContent = readUtf8(srcFile);
-        const rendered = srcFile.endsWith('.md') ? transform(srcContent) : srcContent;
-        addFile(destFile, rendered);
-      }
+      copyTree(path.join(srcSkillsRoot, skillName), destSkillDir);
     }
   }
 
-  if (platform === 'codex') {
-    const srcSkillsRoot = path.join(CLAUDE_ROOT, 'skills');
-    const destSkillsRoot = path.join(CODEX_ROOT, 'skills');
-
+  if (adapter.artifacts.includes('skillFiles')) {
     for (const skillName of listChildDirs(srcSkillsRoot)) {
-      if (!CODEX_SKILLS_ALLOWLIST.has(skillName)) continue;
-
-      const srcSkillDir = path.join(srcSkillsRoot, skillName);
-      const destSkillDir = path.join(destSkillsRoot, skillName);
-      addDir(destSkillDir);
+      const skillMdPath = path.join(srcSkillsRoot, skillName, 'SKILL.md');
+      if (!includeSkill(skillName) || !isFile(skillMdPath)) continue;
+      addFile(
+        path.join(platformRoot, adapter.skillFile.path(skillName)),
+        adapter.skillFile.render(skillName, readUtf8(skillMdPath), helpers)
+      );
+    }
+  }
 
-      for (const srcFile of listFilesRecursively(srcSkillDir)) {
-        const rel = path.relative(srcSkillDir, srcFile);
-        const destFile = path.join(destSkillDir, rel);
-        const srcContent = readUtf8(srcFile);
-        const rendered = srcFile.endsWith('.md') ? transform(srcContent) : srcContent;
-        addFile(destFile, rendered);
-      }
+  if (adapter.artifacts.includes('agentFiles') && isDirectory(srcAgents)) {
+    for (const srcFile of listFilesRecursively(srcAgents)) {
+      if (!srcFile.endsWith('.md')) continue;
+      const agentName = path.basename(srcFile, '.md');
+      addFile(
+        path.join(platformRoot, adapter.agentFile.path(agentName)),
+        adapter.agentFile.render(agentName, readUtf8(srcFile), helpers)
+      );
     }
   }
 
@@ -377,8 +564,35 @@ function verifyNoExtras({ managedRoot, expectedPaths }) {
   return extras;
 }
 
-function runCheck({ platform, verbose }) {
-  const { expectedFiles, expectedDirs } = buildExpectedOutputs({ platform, mode: 'check' });
+// Files and dirs under the adapter's managed roots that it does not generate or allow.
+// Copies of skills overridden for this platform are maintained by hand and allowed.
+function findExtras(adapter, { expectedFiles, expectedDirs }, routing) {
+  const platformRoot = path.join(templatesRoot, adapter.root);
+  const expectedPaths = new Set([...expectedDirs, ...expectedFiles.keys()]);
+  const overriddenPaths = [...routing.declarations.keys()]
+    .filter((skillName) => routing.overridden(adapter.name, skillName))
+    .flatMap((skillName) => skillPaths(adapter, skillName));
+  const allowExtra = (rel) =>
+    overriddenPaths.some((p) => rel === p || rel.startsWith(`${p}/`)) || Boolean(adapter.check.allowExtra?.(rel));
+
+  return adapter.check.managedRoots
+    .flatMap((dir) => verifyNoExtras({ managedRoot: path.join(platformRoot, dir), expectedPaths }))
+    .filter((extra) => !allowExtra(path.relative(platformRoot, extra).split(path.sep).join('/')));
+}
+
+// `diff -u` command comparing the file on disk with what sync would write
+function diffHint(expectedContent, actual) {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'agentbootup-sync-'));
+  const expPath = path.join(tmp, 'expected');
+  const actPath = path.join(tmp, 'actual');
+  fs.writeFileSync(expPath, expectedContent);
+  fs.writeFileSync(actPath, actual);
+  return `  diff: diff -u "${actPath}" "${expPath}"`;
+}
+
+function runCheck(adapter, routing, { verbose }) {
+  const expected = buildExpectedOutputs(adapter, routing);
+  const { expectedFiles, expectedDirs } = expected;
 
   const problems = [];
 
@@ -386,67 +600,28 @@ function runCheck({ platform, verbose }) {
     if (!isDirectory(dir)) problems.push(`Missing dir: ${path.relative(repoRoot, dir)}`);
   }
 
-  for (const [destFile, expected] of expectedFiles.entries()) {
+  for (const [destFile, expectedContent] of expectedFiles.entries()) {
     if (!isFile(destFile)) {
       problems.push(`Missing file: ${path.relative(repoRoot, destFile)}`);
       continue;
     }
     const actual = normalizeNewlines(readUtf8(destFile));
-    if (actual !== expected) {
+    if (actual !== expectedContent) {
       problems.push(`Out of sync: ${path.relative(repoRoot, destFile)}`);
-      if (verbose) {
-        const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'agentbootup-sync-'));
-        const expPath = path.join(tmp, 'expected');
-        const actPath = path.join(tmp, 'actual');
-        fs.writeFileSync(expPath, expected);
-        fs.writeFileSync(actPath, actual);
-        problems.push(`  diff: diff -u "${actPath}" "${expPath}"`);
-      }
+      if (verbose) problems.push(diffHint(expectedContent, actual));
     }
   }
 
-  // Extra files/dirs check (only for managed roots)
-  if (platform === 'gemini') {
-    const expectedPaths = new Set([...expectedDirs, ...expectedFiles.keys()]);
-    const extras = [
-      ...verifyNoExtras({ managedRoot: path.join(GEMINI_ROOT, 'agents'), expectedPaths }),
-      ...verifyNoExtras({ managedRoot: path.join(GEMINI_ROOT, 'skills'), expectedPaths }),
-    ];
-    for (const extra of extras) {
-      // Allow overridden skill directories and their contents.
-      const rel = path.relative(path.join(GEMINI_ROOT, 'skills'), extra);
-      const top = rel.split(path.sep)[0];
-      if (top && GEMINI_SKILL_OVERRIDES.has(top)) continue;
-      problems.push(`Unexpected extra: ${path.relative(repoRoot, extra)}`);
-    }
-  }
-
-  if (platform === 'codex') {
-    const expectedPaths = new Set([...expectedDirs, ...expectedFiles.keys()]);
-    const extras = verifyNoExtras({ managedRoot: path.join(CODEX_ROOT, 'skills'), expectedPaths });
-    for (const extra of extras) {
-      // Allow other codex files (future) only if outside skills.
-      problems.push(`Unexpected extra: ${path.relative(repoRoot, extra)}`);
-    }
+  for (const extra of findExtras(adapter, expected, routing)) {
+    problems.push(`Unexpected extra: ${path.relative(repoRoot, extra)}`);
   }
 
   return problems;
 }
 
-function cleanupCodexSkills({ verbose }) {
-  const destSkillsRoot = path.join(CODEX_ROOT, 'skills');
-  if (!isDirectory(destSkillsRoot)) return;
-
-  for (const skillName of listChildDirs(destSkillsRoot)) {
-    if (CODEX_SKILLS_ALLOWLIST.has(skillName)) continue;
-    const abs = path.join(destSkillsRoot, skillName);
-    fs.rmSync(abs, { recursive: true, force: true });
-    if (verbose) console.log('removed', path.relative(repoRoot, abs));
-  }
-}
-
-function runWrite({ platform, verbose }) {
-  const { expectedFiles, expectedDirs } = buildExpectedOutputs({ platform, mode: 'write' });
+function runWrite(adapter, routing, { verbose }) {
+  const expected = buildExpectedOutputs(adapter, routing);
+  const { expectedFiles, expectedDirs } = expected;
 
   for (const dir of expectedDirs) ensureDir(dir);
 
@@ -457,20 +632,28 @@ function runWrite({ platform, verbose }) {
     if (verbose) console.log('wrote', path.relative(repoRoot, destFile));
   }
 
-  if (platform === 'codex') cleanupCodexSkills({ verbose });
+  // Remove generated files for skills/agents that no longer map to this platform
+  if (!adapter.check.prune) return;
+  for (const extra of findExtras(adapter, expected, routing)) {
+    fs.rmSync(extra, { recursive: true, force: true });
+    if (verbose) console.log('removed', path.relative(repoRoot, extra));
+  }
 }
 
-function autoGenerateSupportingFiles({ verbose }) {
+// Where each kind of supporting file goes, its generator, and the platform it serves
+// (ai-dev-tasks are platform-neutral)
+const SUPPORTING_FILES = [
+  ['command', path.join(CLAUDE_ROOT, 'commands'), generateCommand, 'claude'],
+  ['workflow', path.join(templatesRoot, '.windsurf', 'workflows'), generateWorkflow, 'windsurf'],
+  ['ai-dev-task', path.join(templatesRoot, 'ai-dev-tasks'), generateAiDevTask, null],
+];
+
+// Commands, workflows and ai-dev-tasks derived from each SKILL.md (unless auto_generate: false),
+// for the platforms the skill targets. Overridden ones are planned as `handMaintained` so they
+// are neither written nor removed as orphans.
+function planSupportingFiles(routing, { verbose }) {
   const srcSkillsRoot = path.join(CLAUDE_ROOT, 'skills');
-  const commandsDir = path.join(CLAUDE_ROOT, 'commands');
-  const workflowsDir = path.join(templatesRoot, '.windsurf', 'workflows');
-  const aiDevTasksDir = path.join(templatesRoot, 'ai-dev-tasks');
-
-  ensureDir(commandsDir);
-  ensureDir(workflowsDir);
-  ensureDir(aiDevTasksDir);
-
-  let generated = 0;
+  const planned = [];
 
   for (const skillName of listChildDirs(srcSkillsRoot)) {
     const skillMdPath = path.join(srcSkillsRoot, skillName, 'SKILL.md');
@@ -482,69 +665,359 @@ function autoGenerateSupportingFiles({ verbose }) {
       continue;
     }
 
-    // Generate command if doesn't exist
-    const commandPath = path.join(commandsDir, `${skillName}.md`);
-    if (!isFile(commandPath)) {
-      fs.writeFileSync(commandPath, generateCommand(skillName, skillContent));
-      if (verbose) console.log(`generated command: ${skillName}.md`);
-      generated++;
+    for (const [kind, dir, generate, platform] of SUPPORTING_FILES) {
+      const handMaintained = platform !== null && routing.overridden(platform, skillName);
+      if (platform !== null && !handMaintained && !routing.generates(platform, skillName)) continue;
+      planned.push({ kind, skillName, file: path.join(dir, `${skillName}.md`), content: generate(skillName, skillContent), hash: sourceHash(skillContent), handMaintained });
     }
+  }
 
-    // Generate workflow if doesn't exist
-    const workflowPath = path.join(workflowsDir, `${skillName}.md`);
-    if (!isFile(workflowPath)) {
-      fs.writeFileSync(workflowPath, generateWorkflow(skillName, skillContent));
-      if (verbose) console.log(`generated workflow: ${skillName}.md`);
-      generated++;
+  return planned;
+}
+
+// 'missing', 'current', 'unhashed' (current, under a header from before source hashes),
+// 'hand-maintained' (header removed) or 'stale', with why
+function supportingFileState({ file, content, hash }) {
+  if (!isFile(file)) return { state: 'missing' };
+  const actual = normalizeNewlines(readUtf8(file));
+  const header = actual.match(GENERATED_HEADER_PATTERN);
+  if (!header) return { state: 'hand-maintained' };
+  if (actual === content) return { state: 'current' };
+  if (!header[2]) {
+    const body = (text) => text.replace(GENERATED_HEADER_PATTERN, '');
+    return body(actual) === body(content)
+      ? { state: 'unhashed', reason: 'adds the source hash to the header' }
+      : { state: 'stale', reason: 'generated before source hashes' };
+  }
+  if (header[2] !== hash) return { state: 'stale', reason: 'SKILL.md changed' };
+  return { state: 'stale', reason: 'edited by hand; remove the AUTO-GENERATED header to keep the edits' };
+}
+
+// Files that still carry an AUTO-GENERATED header but are no longer planned: their skill
+// was removed, renamed or set auto_generate: false. Hand-written files have no header.
+function findOrphanedSupportingFiles(planned) {
+  const plannedFiles = new Set(planned.map((p) => p.file));
+  const orphans = [];
+
+  for (const [kind, dir] of SUPPORTING_FILES) {
+    if (!isDirectory(dir)) continue;
+    for (const name of fs.readdirSync(dir).sort()) {
+      const file = path.join(dir, name);
+      if (!name.endsWith('.md') || !isFile(file) || plannedFiles.has(file)) continue;
+      const header = readUtf8(file).match(GENERATED_HEADER_PATTERN);
+      if (header) orphans.push({ kind, file, source: header[1] });
+    }
+  }
+
+  return orphans;
+}
+
+function autoGenerateSupportingFiles(routing, { verbose }) {
+  let generated = 0;
+  let regenerated = 0;
+  const plan = planSupportingFiles(routing, { verbose });
+
+  for (const planned of plan) {
+    const name = `${planned.kind}: ${path.relative(templatesRoot, planned.file)}`;
+    if (planned.handMaintained) {
+      if (verbose) console.log(`skip (overridden in SKILL.md): ${name}`);
+      continue;
+    }
+    const { state, reason } = supportingFileState(planned);
+    if (state === 'current') continue;
+    if (state === 'hand-maintained') {
+      if (verbose) console.log(`skip (hand-maintained, no AUTO-GENERATED header): ${name}`);
+      continue;
     }
 
-    // Generate ai-dev-task if doesn't exist
-    const aiDevTaskPath = path.join(aiDevTasksDir, `${skillName}.md`);
-    if (!isFile(aiDevTaskPath)) {
-      fs.writeFileSync(aiDevTaskPath, generateAiDevTask(skillName, skillContent));
-      if (verbose) console.log(`generated ai-dev-task: ${skillName}.md`);
+    ensureDir(path.dirname(planned.file));
+    fs.writeFileSync(planned.file, planned.content);
+    if (state === 'missing') {
       generated++;
+      if (verbose) console.log(`generated ${name}`);
+    } else {
+      regenerated++;
+      if (verbose) console.log(`regenerated ${name} (${reason})`);
+    }
+  }
+
+  const orphans = findOrphanedSupportingFiles(plan);
+  for (const { kind, file, source } of orphans) {
+    fs.rmSync(file);
+    if (verbose) console.log(`removed ${kind}: ${path.relative(templatesRoot, file)} (${source} no longer generates it)`);
+  }
+
+  if (verbose || generated + regenerated + orphans.length > 0) {
+    console.log(`Auto-generated ${generated}, regenerated ${regenerated} and removed ${orphans.length} supporting files from SKILL.md`);
+  }
+}
+
+function checkSupportingFiles(routing, { verbose }) {
+  const problems = [];
+  const plan = planSupportingFiles(routing, { verbose });
+
+  for (const planned of plan.filter((p) => !p.handMaintained)) {
+    const { state, reason } = supportingFileState(planned);
+    const rel = path.relative(repoRoot, planned.file);
+    if (state === 'missing') problems.push(`Missing generated ${planned.kind}: ${rel}`);
+    if (state === 'stale') {
+      problems.push(`Stale generated ${planned.kind}: ${rel} (${reason})`);
+      if (verbose) problems.push(diffHint(planned.content, normalizeNewlines(readUtf8(planned.file))));
+    }
+  }
+
+  for (const { kind, file, source } of findOrphanedSupportingFiles(plan)) {
+    problems.push(`Unexpected extra ${kind}: ${path.relative(repoRoot, file)} (${source} no longer generates it)`);
+  }
+
+  return problems;
+}
+
+// The skills catalog (templates/skills.json, read by bootup list/search) and the
+// SKILLS_INDEX.md rendered from it: every .claude skill with the platforms it ships to.
+function buildSkillsCatalog(adapters, routing) {
+  const srcSkillsRoot = path.join(CLAUDE_ROOT, 'skills');
+  const plan = planSupportingFiles(routing, { verbose: false });
+  const platforms = [...BUILTIN_PLATFORMS, ...adapters.map((a) => a.name)];
+  const skills = [];
+
+  for (const skillName of listChildDirs(srcSkillsRoot)) {
+    const skillMdPath = path.join(srcSkillsRoot, skillName, 'SKILL.md');
+    if (!isFile(skillMdPath)) continue;
+    const metadata = parseFrontmatter(readUtf8(skillMdPath));
+
+    // Generated files, and overridden ones that have been written by hand
+    const files = Object.fromEntries(
+      plan
+        .filter((p) => p.skillName === skillName && (!p.handMaintained || isFile(p.file)))
+        .map((p) => [p.kind, path.relative(templatesRoot, p.file).split(path.sep).join('/')])
+    );
+    const shipsTo = (platform) => {
+      if (platform === 'claude') return true;
+      if (platform === 'windsurf') return Boolean(files.workflow);
+      return routing.generates(platform, skillName) || routing.overridden(platform, skillName);
+    };
+
+    const skillPlatforms = platforms.filter(shipsTo);
+    skills.push({
+      name: skillName,
+      description: metadata.description || '',
+      category: metadata.category || null,
+      platforms: skillPlatforms,
+      overrides: skillPlatforms.filter((p) => routing.overridden(p, skillName)),
+      requires: Array.isArray(metadata.requires) ? metadata.requires : [],
+      command: files.command || null,
+      workflow: files.workflow || null,
+      aiDevTask: files['ai-dev-task'] || null,
+    });
+  }
+
+  return { platforms, skills };
+}
+
+function expectedCatalogFiles(adapters, routing) {
+  const catalog = buildSkillsCatalog(adapters, routing);
+  return new Map([
+    [path.join(templatesRoot, CATALOG_FILE), `${JSON.stringify(catalog, null, 2)}\n`],
+    [path.join(templatesRoot, 'SKILLS_INDEX.md'), renderSkillsIndex(catalog, { titleCase })],
+  ]);
+}
+
+function writeSkillsCatalog(adapters, routing, { verbose }) {
+  for (const [file, content] of expectedCatalogFiles(adapters, routing)) {
+    if (isFile(file) && normalizeNewlines(readUtf8(file)) === content) continue;
+    fs.writeFileSync(file, content);
+    if (verbose) console.log('wrote', path.relative(repoRoot, file));
+  }
+}
+
+function checkSkillsCatalog(adapters, routing, { verbose }) {
+  const problems = [];
+  for (const [file, content] of expectedCatalogFiles(adapters, routing)) {
+    if (!isFile(file)) {
+      problems.push(`Missing file: ${path.relative(repoRoot, file)}`);
+      continue;
+    }
+    const actual = normalizeNewlines(readUtf8(file));
+    if (actual !== content) {
+      problems.push(`Out of sync: ${path.relative(repoRoot, file)}`);
+      if (verbose) problems.push(diffHint(content, actual));
+    }
+  }
+  return problems;
+}
+
+// Every hand-maintained platform copy: { platform, skillName, content } with the current source
+function listOverrides(adapters, routing) {
+  const platforms = [...BUILTIN_PLATFORMS, ...adapters.map((a) => a.name)];
+  const overrides = [];
+  for (const skillName of routing.declarations.keys()) {
+    const content = readUtf8(path.join(CLAUDE_ROOT, 'skills', skillName, 'SKILL.md'));
+    for (const platform of platforms.filter((p) => routing.overridden(p, skillName))) {
+      overrides.push({ platform, skillName, content });
+    }
+  }
+  return overrides;
+}
+
+function readOverridesLock() {
+  const file = path.join(templatesRoot, LOCK_FILE);
+  return isFile(file) ? JSON.parse(readUtf8(file)) : {};
+}
+
+// Record new overrides and reconciled ones, and forget overrides that are gone
+function updateOverridesLock(overrides, lock, { reconcile, verbose }) {
+  const unknown = reconcile.filter((name) => !overrides.some((o) => o.skillName === name));
+  if (unknown.length > 0) throw new Error(`--reconcile: not overridden on any platform: ${unknown.join(', ')}`);
+
+  const next = {};
+  for (const { platform, skillName, content } of overrides) {
+    const recorded = lock[platform]?.[skillName];
+    const entry = !recorded || reconcile.includes(skillName) ? lockEntry(content) : recorded;
+    if (verbose && entry !== recorded) console.log(`recorded ${platform} override of ${skillName} at source ${entry.source}`);
+    next[platform] = { ...next[platform], [skillName]: entry };
+  }
+
+  const file = path.join(templatesRoot, LOCK_FILE);
+  const content = `${JSON.stringify(next, null, 2)}\n`;
+  if (Object.keys(next).length === 0 && !isFile(file)) return next;
+  if (!isFile(file) || readUtf8(file) !== content) fs.writeFileSync(file, content);
+  return next;
+}
+
+// Overrides whose source changed since they were last reconciled, with the sections that changed
+function overrideDriftWarnings(overrides, lock, { verbose }) {
+  const warnings = [];
+  const unrecorded = [];
+  for (const { platform, skillName, content } of overrides) {
+    const source = `.claude/skills/${skillName}/SKILL.md`;
+    const entry = lock[platform]?.[skillName];
+    if (!entry) {
+      unrecorded.push(`${platform} override of ${skillName}`);
+      continue;
+    }
+    if (!isBehind(entry, content)) continue;
+
+    const lines = [`${platform} override of ${skillName} may be behind ${source}, which changed since it was reconciled:`];
+    for (const change of sectionChanges(entry, content)) {
+      lines.push(`      ${change.change.padEnd(7)} ${change.heading}`);
+      if (verbose) lines.push(...sectionDiff(change).trimEnd().split('\n').map((l) => `        ${l}`));
     }
+    lines.push(`    Update it by hand, then run: npm run sync-templates -- --reconcile ${skillName}`);
+    warnings.push(lines.join('\n'));
+  }
+  // One line for all of them: without a lock file, every override is unrecorded
+  if (unrecorded.length > 0) {
+    warnings.push(`No recorded source in templates/${LOCK_FILE} for: ${unrecorded.join(', ')} (run npm run sync-templates)`);
   }
+  return warnings;
+}
 
-  if (verbose || generated > 0) {
-    console.log(`Auto-generated ${generated} supporting files from SKILL.md`);
+// Token estimate for everything bootup can install from templates/; fragments are
+// reported as always loaded, the rest as loaded on demand
+function templatesBudget({ maxTokens }) {
+  const files = [];
+  const fragments = [];
+
+  for (const abs of listFilesRecursively(templatesRoot)) {
+    const rel = path.relative(templatesRoot, abs).split(path.sep).join('/');
+    const category = relToCategory(rel);
+    if (category === 'fragments') {
+      fragments.push({ source: rel, file: fragmentTarget(rel).targetRel, text: readUtf8(abs) });
+    } else if (category !== 'other' && isContextFile(rel)) {
+      files.push({ rel, category, text: readUtf8(abs) });
+    }
   }
+
+  return budgetReport(files, fragments, { maxTokens });
 }
 
-function main() {
+async function main() {
   const args = parseArgs(process.argv.slice(2));
 
-  const platforms = ['gemini', 'codex'];
+  const adapters = await loadPlatformAdapters();
+  const sources = validateSources(adapters);
 
-  if (args.check) {
-    const allProblems = [];
-    for (const platform of platforms) {
-      allProblems.push(...runCheck({ platform, verbose: args.verbose }));
+  // Nothing can be checked, linted or generated from a file that does not parse
+  if (sources.fatal) {
+    console.error('Cannot parse frontmatter:\n' + sources.problems.map((p) => `- ${p}`).join('\n'));
+    process.exit(1);
+  }
+
+  const routing = loadSkillRouting(adapters);
+  const overrides = listOverrides(adapters, routing);
+  // Missing platform copies and overrides behind their source are worth a warning, not a failure
+  const printWarnings = (lock) => {
+    for (const warning of checkDeclaredPlatforms(adapters, routing)) console.warn(`⚠️  ${warning}`);
+    for (const warning of checkUndeclaredRouting(adapters, routing)) console.warn(`⚠️  ${warning}`);
+    for (const warning of overrideDriftWarnings(overrides, lock, { verbose: args.verbose })) console.warn(`⚠️  ${warning}`);
+  };
+
+  if (args.budget) {
+    console.log(`Token budget for templates/ (estimated)\n\n${formatBudgetReport(templatesBudget(args), { verbose: args.verbose })}`);
+    if (!args.check && !args.lint) return;
+  }
+
+  if (args.check || args.lint) {
+    let failed = false;
+
+    if (args.check) {
+      if (sources.problems.length > 0) {
+        console.error('Invalid frontmatter:\n' + sources.problems.map((p) => `- ${p}`).join('\n'));
+        failed = true;
+      }
+
+      const allProblems = checkSupportingFiles(routing, { verbose: args.verbose });
+      for (const adapter of adapters) {
+        allProblems.push(...runCheck(adapter, routing, { verbose: args.verbose }));
+      }
+      allProblems.push(...checkSkillsCatalog(adapters, routing, { verbose: args.verbose }));
+      printWarnings(readOverridesLock());
+      if (allProblems.length > 0) {
+        console.error('Templates are out of sync:\n' + allProblems.map((p) => `- ${p}`).join('\n'));
+        failed = true;
+      } else {
+        console.log('Templates are in sync.');
+      }
     }
 
-    if (allProblems.length > 0) {
-      console.error('Templates are out of sync:\n' + allProblems.map((p) => `- ${p}`).join('\n'));
-      process.exit(1);
+    if (args.lint) {
+      const { problems: lintProblems, warnings: lintWarnings } = lintSkills({ repoRoot, claudeRoot: CLAUDE_ROOT, adapters, parseFrontmatter, routing });
+      for (const warning of lintWarnings) console.warn(`⚠️  ${warning}`);
+      if (lintProblems.length > 0) {
+        console.error('Skill lint failed:\n' + lintProblems.map((p) => `- ${p}`).join('\n'));
+        failed = true;
+      } else {
+        console.log('Skills lint clean.');
+      }
     }
 
-    console.log('Templates are in sync.');
+    if (failed) process.exit(1);
     return;
   }
 
+  for (const problem of sources.problems) console.warn(`⚠️  ${problem}`);
+
+  // Record the source each override was reconciled against (templates/overrides.lock.json)
+  const lock = updateOverridesLock(overrides, readOverridesLock(), { reconcile: args.reconcile, verbose: args.verbose });
+
   // Auto-generate supporting files from Claude skills (commands, workflows, ai-dev-tasks)
-  autoGenerateSupportingFiles({ verbose: args.verbose });
+  autoGenerateSupportingFiles(routing, { verbose: args.verbose });
 
-  // Sync Claude skills to Gemini and Codex
-  for (const platform of platforms) {
-    runWrite({ platform, verbose: args.verbose });
+  // Sync Claude skills and agents to every platform in scripts/platforms/
+  for (const adapter of adapters) {
+    runWrite(adapter, routing, { verbose: args.verbose });
   }
 
+  // SKILLS_INDEX.md and skills.json
+  writeSkillsCatalog(adapters, routing, { verbose: args.verbose });
+  printWarnings(lock);
+
   console.log('Sync complete.');
 }
 
 try {
-  main();
+  await main();
 } catch (err) {
   console.error('❌ sync-templates failed:', err?.stack || err?.message || String(err));
   process.exit(1);